@@ -20,7 +20,7 @@ CREATE TABLE IF NOT EXISTS ig_tenants (
     -- Instagram Bağlantısı
     ig_user_id VARCHAR(50),                        -- Instagram Business Account ID
     ig_username VARCHAR(50),                       -- Instagram kullanıcı adı
-    ig_access_token TEXT,                          -- Long-lived access token (şifreli saklanmalı!)
+    ig_access_token TEXT,                          -- Long-lived access token, AES-256-GCM şifreli (enc:v1:<keyId>:...)
     ig_token_expires_at TIMESTAMP,                 -- Token bitiş tarihi
     
     -- Facebook Bağlantısı (Instagram için gerekli)
@@ -28,9 +28,9 @@ CREATE TABLE IF NOT EXISTS ig_tenants (
     fb_page_name VARCHAR(255),                     -- Facebook Page adı
     
     -- İçerik Ayarları
-    content_language VARCHAR(5) DEFAULT 'tr',      -- Varsayılan dil
+    content_language VARCHAR(5) DEFAULT 'tr',      -- İçerik dili: tr, en, ru, ar (slide, caption, tarih metinleri)
     default_hashtags TEXT,                         -- Varsayılan hashtagler
-    intro_template TEXT,                           -- Giriş slide şablonu
+    intro_template TEXT,                           -- Giriş slide şablonu ({{weekRange}}, {{brand}}, {{categoryCount}}, {{categories}})
     
     -- Abonelik
     plan VARCHAR(20) DEFAULT 'free',               -- free, starter, pro, enterprise
@@ -105,6 +105,20 @@ CREATE TABLE IF NOT EXISTS ig_content_sources (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- category_mapping örneği:
+-- {"rules": [{"category": "Vize", "emoji": "✈️", "keywords": ["vize", "schengen"]}],
+--  "default_category": "Genel", "default_emoji": "📢"}
+ALTER TABLE ig_content_sources ADD COLUMN IF NOT EXISTS fetch_interval_minutes INTEGER DEFAULT 60;  -- RSS çekme aralığı
+ALTER TABLE ig_content_sources ADD COLUMN IF NOT EXISTS last_error TEXT;                          -- Son çekme hatası
+
+-- Kaynaklardan gelen haberler (news_items tablosu index.js initDB'de oluşturulur)
+ALTER TABLE news_items ADD COLUMN IF NOT EXISTS tenant_id INTEGER REFERENCES ig_tenants(id) ON DELETE CASCADE;
+ALTER TABLE news_items ADD COLUMN IF NOT EXISTS source_id INTEGER REFERENCES ig_content_sources(id) ON DELETE SET NULL;
+ALTER TABLE news_items ADD COLUMN IF NOT EXISTS is_excluded BOOLEAN DEFAULT FALSE;   -- Editör carousel'dan çıkardı
+ALTER TABLE news_items ADD COLUMN IF NOT EXISTS sort_order INTEGER DEFAULT 0;         -- Kategori içi sıra
+ALTER TABLE news_items ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE news_items ADD COLUMN IF NOT EXISTS ai_text TEXT;                       -- LLM'in yazdığı slide maddesi (orijinal: title)
+
 -- =====================
 -- SCHEDULED POSTS (Zamanlanmış Paylaşımlar)
 -- =====================
@@ -114,7 +128,7 @@ CREATE TABLE IF NOT EXISTS ig_scheduled_posts (
     carousel_id INTEGER REFERENCES carousel_posts(id) ON DELETE CASCADE,
     
     scheduled_at TIMESTAMP NOT NULL,               -- Paylaşım zamanı
-    status VARCHAR(20) DEFAULT 'pending',          -- pending, processing, published, failed
+    status VARCHAR(20) DEFAULT 'pending',          -- pending, processing, published, failed, cancelled
     
     -- Sonuç
     ig_media_id VARCHAR(50),                       -- Instagram media ID
@@ -124,6 +138,66 @@ CREATE TABLE IF NOT EXISTS ig_scheduled_posts (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- =====================
+-- PUBLISH JOBS (Yayın İşleri)
+-- =====================
+CREATE TABLE IF NOT EXISTS ig_publish_jobs (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES ig_tenants(id) ON DELETE CASCADE,
+    carousel_id INTEGER REFERENCES carousel_posts(id) ON DELETE CASCADE,
+    
+    status VARCHAR(20) DEFAULT 'pending',          -- pending, running, succeeded, failed
+    step VARCHAR(30) DEFAULT 'queued',             -- queued, uploading_slides, creating_containers, waiting_for_containers, creating_carousel, publishing, finding_media, done
+    
+    -- İlerleme (çökme sonrası kaldığı yerden devam için)
+    image_urls JSONB,                              -- Yüklenen slide URL'leri
+    caption TEXT,                                  -- Instagram caption'ı
+    child_container_ids JSONB DEFAULT '[]',        -- Oluşturulan slide container ID'leri
+    carousel_container_id VARCHAR(50),             -- Carousel container ID
+    ig_media_id VARCHAR(50),                       -- Yayınlanan post ID
+    error_message TEXT,
+    attempts INTEGER DEFAULT 0,                    -- Kaç kez işlendi (3'ten fazlaysa failed)
+    media_lookup_attempts INTEGER DEFAULT 0,       -- Yayınlandı ama post ID bulunamadı; caption ile kaç kez arandı (en fazla 3)
+    locked_at TIMESTAMP,                           -- Son ilerleme; 10 dk güncellenmezse iş yeniden alınır
+    
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================
+-- CAROUSEL ASSETS (Yüklenmiş Slide Görselleri)
+-- =====================
+CREATE TABLE IF NOT EXISTS carousel_assets (
+    id SERIAL PRIMARY KEY,
+    carousel_id INTEGER REFERENCES carousel_posts(id) ON DELETE CASCADE,
+    slide_number INTEGER NOT NULL,
+    storage_driver VARCHAR(20) NOT NULL,           -- local, s3
+    storage_key TEXT NOT NULL,                     -- carousels/{id}/{hash}.png
+    public_url TEXT NOT NULL,                      -- Instagram'ın çektiği URL
+    content_hash VARCHAR(64),                      -- Slide + şablon + marka hash'i
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(carousel_id, slide_number, storage_driver)
+);
+
+-- =====================
+-- AI KAPAK GÖRSELLERİ (Üretim denemeleri / varyantlar)
+-- =====================
+CREATE TABLE IF NOT EXISTS carousel_cover_generations (
+    id SERIAL PRIMARY KEY,
+    carousel_id INTEGER REFERENCES carousel_posts(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,                 -- openai, stub
+    prompt TEXT NOT NULL,                          -- Kullanılan prompt
+    revised_prompt TEXT,                           -- Sağlayıcının düzenlediği prompt
+    status VARCHAR(20) DEFAULT 'pending',          -- pending, succeeded, failed
+    image_url TEXT,                                -- Üretilen görselin public URL'i
+    storage_key TEXT,                              -- carousels/{id}/generated-{genId}.png
+    error_message TEXT,
+    is_selected BOOLEAN DEFAULT FALSE,             -- Kapak olarak seçilen varyant
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =====================
 -- ANALYTICS (Analitik)
 -- =====================
@@ -133,7 +207,7 @@ CREATE TABLE IF NOT EXISTS ig_analytics (
     carousel_id INTEGER REFERENCES carousel_posts(id) ON DELETE CASCADE,
     ig_media_id VARCHAR(50),
     
-    -- Metrikler (Instagram Insights API'den çekilir)
+    -- Metrikler (Instagram Insights API'den çekilir; her senkronda yeni snapshot, kümülatif değerler)
     impressions INTEGER DEFAULT 0,
     reach INTEGER DEFAULT 0,
     likes INTEGER DEFAULT 0,
@@ -152,6 +226,32 @@ ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENC
 ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS ig_media_id VARCHAR(50);
 ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP;
 ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS caption TEXT;
+ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS format VARCHAR(20) DEFAULT 'square';  -- square, portrait (4:5), story (9:16)
+ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS original_caption TEXT;                      -- LLM caption'ından önceki orijinal (geri alma için)
+ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS cover_image_key TEXT;                       -- Yüklenen kapak görselinin storage key'i
+ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS cover_image_fit VARCHAR(10) DEFAULT 'cover';  -- cover (kırp), contain (sığdır)
+ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS cover_image_position VARCHAR(20) DEFAULT 'center'; -- center, top, bottom, left, right
+ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS language VARCHAR(5);                  -- Üretildiği içerik dili (tr, en, ru, ar; RTL için)
+
+-- Kapanış (outro/CTA) slide'ı ve iletişim bilgileri
+ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS website_url TEXT;                   -- Web sitesi
+ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS contact_phone VARCHAR(50);          -- İletişim telefonu
+ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS outro_enabled BOOLEAN DEFAULT FALSE; -- Carousel sonuna otomatik outro ekle
+ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS outro_title TEXT;                   -- Outro başlığı
+ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS outro_cta TEXT;                     -- Outro çağrı metni (CTA)
+ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS caption_template TEXT;              -- Caption şablonu (intro_template ile aynı değişkenler)
+
+-- Instagram token yenileme ve uyarılar
+ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS ig_token_refreshed_at TIMESTAMP;           -- Son başarılı yenileme
+ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS ig_token_refresh_attempted_at TIMESTAMP;   -- Son yenileme denemesi
+ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS ig_token_refresh_error TEXT;               -- Son yenileme hatası (başarıda NULL)
+ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS ig_token_invalid BOOLEAN DEFAULT FALSE;    -- Graph API token'ı reddetti, yeniden bağlanmalı
+ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS ig_token_alert_status VARCHAR(20);         -- Son gönderilen uyarı: expiring, expired, disconnected
+ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS ig_insights_permission_error TEXT;      -- Token'da Insights izni yok (yeniden bağlanınca NULL)
+
+-- Zamanlanmış paylaşım: çöken worker'ın 'processing' bıraktığı postlar 10 dk sonra yeniden alınır
+ALTER TABLE ig_scheduled_posts ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP;              -- processing'e alındığı an
+ALTER TABLE ig_scheduled_posts ADD COLUMN IF NOT EXISTS publish_job_id INTEGER REFERENCES ig_publish_jobs(id) ON DELETE SET NULL; -- Yayını yürüten iş
 
 -- =====================
 -- INDEXES
@@ -159,7 +259,15 @@ ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS caption TEXT;
 CREATE INDEX IF NOT EXISTS idx_carousel_posts_tenant ON carousel_posts(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_carousel_posts_status ON carousel_posts(status);
 CREATE INDEX IF NOT EXISTS idx_scheduled_posts_scheduled ON ig_scheduled_posts(scheduled_at, status);
+-- Bir carousel için aynı anda tek bekleyen/işlenen zamanlanmış paylaşım
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_posts_active_carousel ON ig_scheduled_posts(carousel_id) WHERE status IN ('pending', 'processing');
+CREATE INDEX IF NOT EXISTS idx_publish_jobs_status ON ig_publish_jobs(status, created_at);
+-- Bir carousel için aynı anda tek aktif yayın işi
+CREATE UNIQUE INDEX IF NOT EXISTS idx_publish_jobs_active_carousel ON ig_publish_jobs(carousel_id) WHERE status IN ('pending', 'running');
 CREATE INDEX IF NOT EXISTS idx_tenants_slug ON ig_tenants(slug);
+CREATE INDEX IF NOT EXISTS idx_news_items_tenant_date ON news_items(tenant_id, news_date);
+CREATE INDEX IF NOT EXISTS idx_ig_analytics_carousel_fetched ON ig_analytics(carousel_id, fetched_at);
+CREATE INDEX IF NOT EXISTS idx_ig_analytics_tenant_fetched ON ig_analytics(tenant_id, fetched_at);
 
 -- =====================
 -- DEFAULT TEMPLATE
@@ -0,0 +1,150 @@
+// Shared Puppeteer browser for slide rendering
+// One Chromium per process, a cap on concurrently open pages and a FIFO queue for the rest.
+
+import puppeteer from 'puppeteer';
+
+const MAX_PAGES = parseInt(process.env.RENDER_MAX_PAGES || '2');
+const QUEUE_TIMEOUT_MS = parseInt(process.env.RENDER_QUEUE_TIMEOUT_MS || '60000');
+const HEALTH_CHECK_INTERVAL_MS = 60000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+let browser = null;
+let launching = null;
+let activePages = 0;
+let restarts = 0;
+const waiters = [];
+
+async function launchBrowser() {
+  const instance = await puppeteer.launch({
+    headless: 'new',
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+  });
+
+  instance.on('disconnected', () => {
+    if (browser === instance) {
+      console.warn('⚠️ Render browser disconnected, will relaunch on next render');
+      browser = null;
+      restarts++;
+    }
+  });
+
+  console.log('🧭 Render browser launched');
+  return instance;
+}
+
+async function getBrowser() {
+  if (browser && browser.isConnected()) return browser;
+
+  // Concurrent callers share a single launch
+  if (!launching) {
+    launching = launchBrowser()
+      .then(instance => { browser = instance; return instance; })
+      .finally(() => { launching = null; });
+  }
+  return launching;
+}
+
+// Kill the current browser; the next render launches a fresh one
+async function resetBrowser() {
+  const instance = browser;
+  browser = null;
+  if (!instance) return;
+
+  restarts++;
+  try {
+    await instance.close();
+  } catch (error) {
+    instance.process()?.kill('SIGKILL');
+  }
+}
+
+function acquireSlot() {
+  if (activePages < MAX_PAGES) {
+    activePages++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = {
+      resolve,
+      timer: setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error('Render queue timeout'));
+      }, QUEUE_TIMEOUT_MS)
+    };
+    waiters.push(waiter);
+  });
+}
+
+function releaseSlot() {
+  const next = waiters.shift();
+  if (next) {
+    // Hand the slot straight to the next waiter
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    activePages--;
+  }
+}
+
+/**
+ * Run a function with a fresh page from the shared browser.
+ * The page is closed afterwards; if the browser crashed mid-render it is
+ * relaunched and the function is retried once.
+ * @param {Function} fn - async (page) => result
+ * @returns {Promise<*>} - Result of fn
+ */
+export async function withPage(fn) {
+  await acquireSlot();
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const instance = await getBrowser();
+      let page;
+
+      try {
+        page = await instance.newPage();
+        return await fn(page);
+      } catch (error) {
+        if (attempt === 0 && !instance.isConnected()) {
+          console.warn('⚠️ Render browser crashed, retrying with a new browser:', error.message);
+          continue;
+        }
+        throw error;
+      } finally {
+        if (page && instance.isConnected()) await page.close().catch(() => {});
+      }
+    }
+  } finally {
+    releaseSlot();
+  }
+}
+
+/**
+ * Current pool usage (for health/status endpoints)
+ */
+export function getBrowserPoolStats() {
+  return {
+    browserRunning: !!browser && browser.isConnected(),
+    activePages,
+    queued: waiters.length,
+    maxPages: MAX_PAGES,
+    restarts
+  };
+}
+
+// Periodically make sure an idle browser still responds; restart it if it hung
+setInterval(async () => {
+  if (!browser || activePages > 0) return;
+
+  try {
+    await Promise.race([
+      browser.version(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('health check timeout')), HEALTH_CHECK_TIMEOUT_MS))
+    ]);
+  } catch (error) {
+    console.warn('⚠️ Render browser health check failed, restarting:', error.message);
+    await resetBrowser();
+  }
+}, HEALTH_CHECK_INTERVAL_MS).unref();
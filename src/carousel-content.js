@@ -0,0 +1,247 @@
+// Carousel content builders: demo news, slide list, caption and cover image prompt
+
+import { SLIDE_FORMATS } from './carousel-render.js';
+import { getMessages } from './i18n.js';
+
+// "12 Ekim - 18 Ekim 2026", month names in the content language
+export function formatWeekRange(weekStart, weekEnd, language) {
+  const { months } = getMessages(language);
+  const formatDate = (d) => `${d.getDate()} ${months[d.getMonth()]}`;
+  return `${formatDate(weekStart)} - ${formatDate(weekEnd)} ${weekEnd.getFullYear()}`;
+}
+
+// Demo news sources; category names and headlines come from the catalog's demoNews (same order)
+const DEMO_CATEGORIES = [
+  { emoji: "🏠", sources: [["GİB", "https://goc.gov.tr"], ["İl Göç", "https://istanbul.goc.gov.tr"], ["GİB", "https://goc.gov.tr"]] },
+  { emoji: "💼", sources: [["ÇSGB", "https://csgb.gov.tr"], ["ÇSGB", "https://csgb.gov.tr"], ["Resmi Gazete", "https://resmigazete.gov.tr"]] },
+  { emoji: "🇹🇷", sources: [["Nüfus", "https://nvi.gov.tr"], ["İçişleri", "https://icisleri.gov.tr"]] },
+  { emoji: "✈️", sources: [["Konsolosluk", "https://vfs.com"], ["Dışişleri", "https://mfa.gov.tr"], ["E-Vize", "https://evisa.gov.tr"]] },
+  { emoji: "📢", sources: [["GİB", "https://goc.gov.tr"], ["TÜRKSAT", "https://turksat.com.tr"]] }
+];
+
+export function generateDemoNews(language) {
+  const messages = getMessages(language);
+  const today = new Date();
+  const weekStart = new Date(today);
+  weekStart.setDate(today.getDate() - today.getDay() + 1);
+  const weekEnd = new Date(weekStart);
+  weekEnd.setDate(weekStart.getDate() + 6);
+
+  return {
+    weekRange: formatWeekRange(weekStart, weekEnd, language),
+    weekStart: weekStart.toISOString().split('T')[0],
+    weekEnd: weekEnd.toISOString().split('T')[0],
+    categories: DEMO_CATEGORIES.map((cat, c) => ({
+      name: messages.demoNews[c].name,
+      emoji: cat.emoji,
+      news: cat.sources.map(([source, url], i) => ({ title: messages.demoNews[c].titles[i], source, url }))
+    }))
+  };
+}
+
+// Instagram carousels hold at most 10 images
+export const MAX_CAROUSEL_SLIDES = 10;
+
+/**
+ * Estimated height (px) of one item on a category slide.
+ * Mirrors the default category CSS in generateSlideHTML: 26px text at
+ * line-height 1.5 over the 60px-padded width, a 20px source line and 32+32px spacing.
+ */
+function estimateItemHeight(item, layout) {
+  const fontSize = 26 * layout.scale;
+  const charsPerLine = Math.floor((layout.width - 120 - 24) / (fontSize * 0.52));
+  const lines = Math.max(1, Math.ceil((item.text || '').length / charsPerLine));
+  return lines * fontSize * 1.5 + 8 + 20 * layout.scale * 1.2 + 64 * layout.scale;
+}
+
+// Vertical space left for items: 80px padding top/bottom, category header and the brand mark
+function categoryCapacity(layout) {
+  return layout.height - 160 - layout.safeTop - layout.safeBottom - 106 * layout.scale - 80;
+}
+
+// Split items into pages that fit; a single oversized item still gets its own page
+export function paginateItems(items, layout) {
+  const capacity = categoryCapacity(layout);
+  const pages = [];
+  let page = [];
+  let used = 0;
+
+  for (const item of items) {
+    const height = estimateItemHeight(item, layout);
+    if (page.length > 0 && used + height > capacity) {
+      pages.push(page);
+      page = [];
+      used = 0;
+    }
+    page.push(item);
+    used += height;
+  }
+  if (page.length > 0) pages.push(page);
+  return pages;
+}
+
+/**
+ * Fit categories into the slides left under the carousel cap.
+ * 1. Categories beyond the budget are merged into one "Diğer" (otherName) category.
+ * 2. While there are too many pages, the lowest-priority item of the longest
+ *    category is dropped (item.priority, higher wins; later items lose ties).
+ * @returns {Array} - [{ category, pages }]
+ */
+export function fitCategories(categories, layout, budget, otherName) {
+  let fitted = categories.map(cat => ({
+    category: cat,
+    items: cat.news.map((n, index) => ({
+      id: n.id,
+      text: n.ai_text || n.title,
+      original_text: n.ai_text ? n.title : undefined,
+      source: n.source,
+      url: n.url,
+      priority: n.priority ?? 0,
+      index
+    }))
+  }));
+
+  if (fitted.length > budget) {
+    const rest = fitted.slice(budget - 1);
+    const mergedItems = rest.flatMap(({ category, items }) => items.map(item => ({ ...item, text: `${category.emoji} ${item.text}` })));
+    fitted = [...fitted.slice(0, budget - 1), { category: { name: otherName, emoji: '📌' }, items: mergedItems.map((item, index) => ({ ...item, index })) }];
+    console.warn(`⚠️ ${rest.length} categories merged into "${otherName}" to stay within ${MAX_CAROUSEL_SLIDES} slides`);
+  }
+
+  fitted.forEach(entry => { entry.pages = paginateItems(entry.items, layout); });
+  const pageCount = () => fitted.reduce((sum, entry) => sum + entry.pages.length, 0);
+
+  let dropped = 0;
+  while (pageCount() > budget) {
+    const longest = fitted.reduce((a, b) => (b.pages.length >= a.pages.length ? b : a));
+    const lowest = longest.items.reduce((a, b) => (b.priority < a.priority || (b.priority === a.priority && b.index > a.index) ? b : a));
+    longest.items = longest.items.filter(item => item !== lowest);
+    longest.pages = paginateItems(longest.items, layout);
+    dropped++;
+  }
+  if (dropped > 0) console.warn(`⚠️ ${dropped} low-priority news items dropped to stay within ${MAX_CAROUSEL_SLIDES} slides`);
+
+  return fitted;
+}
+
+// Placeholders tenants may use in intro_template / caption_template
+export const TEMPLATE_PLACEHOLDERS = ['weekRange', 'brand', 'categoryCount', 'categories'];
+const TEMPLATE_MAX_LENGTH = { intro_template: 1000, caption_template: 2000 };
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+/**
+ * Validate a tenant content template before it is saved
+ * @param {string|null} template - Template text; null/empty clears it
+ * @param {string} field - intro_template | caption_template
+ * @returns {string|null} - Validation error message, null if valid
+ */
+export function validateContentTemplate(template, field) {
+  if (template === undefined || template === null || template === '') return null;
+  if (typeof template !== 'string') return `${field} must be a string`;
+  if (template.length > TEMPLATE_MAX_LENGTH[field]) return `${field} must be at most ${TEMPLATE_MAX_LENGTH[field]} characters`;
+
+  for (const [, name] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!TEMPLATE_PLACEHOLDERS.includes(name)) {
+      return `${field} has unknown placeholder {{${name}}} (allowed: ${TEMPLATE_PLACEHOLDERS.map(p => `{{${p}}}`).join(', ')})`;
+    }
+  }
+  if (/\{\{|\}\}/.test(template.replace(PLACEHOLDER_PATTERN, ''))) return `${field} has an unclosed {{ }} placeholder`;
+
+  return null;
+}
+
+/**
+ * Fill a tenant content template with a week's values
+ * @param {string} template - Validated intro_template / caption_template
+ * @param {object} news - { weekRange, categories: [{ name }] }
+ * @param {string} brandName - Brand of the tenant
+ * @returns {string} - Rendered text
+ */
+export function renderContentTemplate(template, news, brandName) {
+  const values = {
+    weekRange: news.weekRange,
+    brand: brandName,
+    categoryCount: news.categories.length,
+    categories: news.categories.map(cat => cat.name).join(', ')
+  };
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) => (name in values ? String(values[name]) : match)).trim();
+}
+
+/**
+ * Closing call-to-action slide from a tenant's outro settings
+ * @param {object} tenant - ig_tenants row
+ * @param {string} brandName - Brand shown on the slide
+ * @param {string} language - Content language for the default title/CTA
+ * @returns {object|null} - outro slide, null when the tenant has it disabled
+ */
+export function buildOutroSlide(tenant, brandName, language = tenant?.content_language) {
+  if (!tenant?.outro_enabled) return null;
+  const messages = getMessages(language);
+
+  return {
+    type: 'outro',
+    title: tenant.outro_title || messages.outroTitle,
+    cta: tenant.outro_cta || messages.outroCta,
+    contacts: {
+      website: tenant.website_url || null,
+      phone: tenant.contact_phone || null,
+      email: tenant.email || null,
+      instagram: tenant.ig_username || null
+    },
+    brand: brandName
+  };
+}
+
+/**
+ * Build the slide list for a week's news. Categories that don't fit on one
+ * slide are split into "Vize (1/2)", "Vize (2/2)"... within the 10-slide cap.
+ * @param {object} rawNews - { weekRange, categories: [{ name, emoji, news: [{ title, source, url, priority?, id?, ai_text? }] }] }
+ *   id: news_items id, kept on the slide item so stored news can be marked as used
+ *   ai_text: LLM-written bullet shown instead of the title (title kept as original_text)
+ * @param {string} brandName - Brand shown on the slides
+ * @param {object} options - { format, tenant, intro, language }
+ *   format: slide format used to estimate text fit
+ *   tenant: ig_tenants row; adds an outro slide when its outro is enabled, and its
+ *     intro_template (if set) replaces the default intro text
+ *   intro: generated intro paragraph (the default text is kept as original_content)
+ *   language: content language of the fixed texts, defaults to tenant.content_language
+ */
+export function createSlidesWithBrand(rawNews, brandName, { format = 'square', tenant = null, intro = null, language = tenant?.content_language } = {}) {
+  const layout = SLIDE_FORMATS[format] || SLIDE_FORMATS.square;
+  const messages = getMessages(language);
+  const outro = buildOutroSlide(tenant, brandName, language);
+  const defaultIntro = tenant?.intro_template ? renderContentTemplate(tenant.intro_template, rawNews, brandName) : messages.defaultIntro;
+  const slides = [];
+  slides.push({ type: 'cover', title: messages.coverTitle, subtitle: rawNews.weekRange, brand: brandName, image_placeholder: true });
+  slides.push({ type: 'intro', greeting: messages.greeting, content: intro || defaultIntro, original_content: intro ? defaultIntro : undefined, brand: brandName });
+
+  const budget = MAX_CAROUSEL_SLIDES - slides.length - (outro ? 1 : 0);
+  fitCategories(rawNews.categories, layout, budget, messages.otherCategory).forEach(({ category, pages }) => {
+    pages.forEach((page, pageIndex) => {
+      const title = pages.length > 1 ? `${category.name} (${pageIndex + 1}/${pages.length})` : category.name;
+      slides.push({ type: 'category', emoji: category.emoji, category: title, items: page.map(({ id, text, original_text, source, url }) => ({ id, text, original_text, source, url })), brand: brandName });
+    });
+  });
+
+  if (outro) slides.push(outro);
+  return slides;
+}
+
+// lead: generated caption body used instead of the category list
+// language: content language of the fixed lines and default hashtags
+export function generateCaption(news, hashtags, lead = null, language) {
+  const messages = getMessages(language);
+  if (lead) return `${lead}\n\n${hashtags || messages.defaultHashtags}`;
+
+  const categoryCount = news.categories.length;
+  let caption = `📰 ${messages.coverTitle} - ${news.weekRange}\n\n`;
+  caption += `${messages.captionLead(categoryCount)}\n\n`;
+  news.categories.forEach(cat => { caption += `${cat.emoji} ${cat.name}\n`; });
+  caption += `\n📌 ${messages.captionSwipe}\n\n`;
+  caption += hashtags || messages.defaultHashtags;
+  return caption;
+}
+
+export function generateCoverPrompt(news) {
+  return `Minimalist black and white illustration for Instagram carousel cover. Theme: Immigration and travel in Turkey. Style: Clean line art, similar to modern editorial illustrations. Elements: Two people - one holding documents/passport, another with a suitcase or looking at a phone. No text in the image itself. Professional, friendly, and approachable mood.`;
+}
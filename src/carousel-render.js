@@ -1,48 +1,169 @@
-import puppeteer from 'puppeteer';
 import archiver from 'archiver';
+import { PDFDocument } from 'pdf-lib';
+import { withPage } from './browser-pool.js';
+import { getRenderCacheKey, getCachedRender, putCachedRender } from './render-cache.js';
+import { getMessages, isRtl, resolveLanguage } from './i18n.js';
+
+// Default design, used when a carousel has no ig_templates row (matches "Classic White")
+export const DEFAULT_TEMPLATE = {
+  background_color: '#FFFFFF',
+  text_color: '#000000',
+  accent_color: '#0066FF',
+  font_family: 'Inter',
+  cover_style: {},
+  intro_style: {},
+  category_style: {}
+};
+
+// Keep template values from breaking out of the CSS declaration they are placed in
+function cssValue(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  return String(value).replace(/[;{}<>"'\\]/g, '');
+}
+
+// "#RRGGBB" → "rgba(r, g, b, alpha)", used for muted text and dividers
+function hexToRgba(hex, alpha) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(hex).trim());
+  if (!match) return hex;
+  const num = parseInt(match[1], 16);
+  return `rgba(${(num >> 16) & 255}, ${(num >> 8) & 255}, ${num & 255}, ${alpha})`;
+}
+
+function parseStyle(style) {
+  if (!style) return {};
+  return typeof style === 'string' ? JSON.parse(style) : style;
+}
+
+/**
+ * Merge an ig_templates row over the default design and pick the style JSON
+ * for one slide type. Per-slide style keys (background, textColor, accentColor)
+ * override the template-wide colors.
+ */
+export function resolveSlideTheme(template, slideType) {
+  const t = { ...DEFAULT_TEMPLATE, ...(template || {}) };
+  const style = parseStyle(t[`${slideType}_style`]);
+  const text = cssValue(style.textColor, cssValue(t.text_color, DEFAULT_TEMPLATE.text_color));
+
+  return {
+    style,
+    font: cssValue(t.font_family, DEFAULT_TEMPLATE.font_family),
+    background: cssValue(style.background, cssValue(t.background_color, DEFAULT_TEMPLATE.background_color)),
+    text,
+    accent: cssValue(style.accentColor, cssValue(t.accent_color, DEFAULT_TEMPLATE.accent_color)),
+    muted: hexToRgba(text, 0.6),
+    soft: hexToRgba(text, 0.8),
+    divider: hexToRgba(text, 0.07),
+    placeholder: hexToRgba(text, 0.04)
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Brand mark drawn on every slide: the tenant logo if set, otherwise a text wordmark
+ * @param {object} branding - { brand_name, logo_url, primary_color } from ig_tenants
+ * @param {string} fallbackName - Brand name stored on the slide itself
+ */
+function renderBrandMark(branding, fallbackName) {
+  if (branding?.logo_url) {
+    return `<div class="brand"><img class="brand-logo" src="${escapeHtml(branding.logo_url)}" alt=""></div>`;
+  }
+  return `<div class="brand">${escapeHtml(branding?.brand_name || fallbackName || 'ATASA')}</div>`;
+}
+
+// Output formats: feed square, feed portrait (4:5) and Story (9:16).
+// scale grows default font sizes on taller canvases; safeTop/safeBottom keep
+// content clear of the Story header and reply bar.
+export const SLIDE_FORMATS = {
+  square: { width: 1080, height: 1080, scale: 1, safeTop: 0, safeBottom: 0, illustrationHeight: 500 },
+  portrait: { width: 1080, height: 1350, scale: 1.1, safeTop: 0, safeBottom: 0, illustrationHeight: 680 },
+  story: { width: 1080, height: 1920, scale: 1.2, safeTop: 220, safeBottom: 220, illustrationHeight: 860 }
+};
+
+export function isValidFormat(format) {
+  return Object.prototype.hasOwnProperty.call(SLIDE_FORMATS, format);
+}
+
+/**
+ * HTML Template Generator for Instagram Carousel Slides
+ * @param {object} slide - Slide JSON; type is one of:
+ *   cover { title, subtitle, image_url, image_fit: cover|contain, image_position },
+ *   intro, category { emoji, category, items },
+ *   outro { title, cta, contacts: { website, phone, email, instagram } },
+ *   quote { quote, author, role }, stat { value, label, context, source },
+ *   story { emoji, category, title, summary, source, url }
+ * @param {object} options - { branding, template, format, links, language }
+ *   links: render sources and contacts as clickable <a> links (PDF export)
+ *   language: content language of the slide (defaults to branding.content_language);
+ *   right-to-left languages (ar) are laid out with dir="rtl"
+ */
+export function generateSlideHTML(slide, { branding = null, template = null, format = 'square', links = false, language = branding?.content_language } = {}) {
+  const lang = resolveLanguage(language);
+  const rtl = isRtl(lang);
+  const messages = getMessages(lang);
+  const theme = resolveSlideTheme(template, slide.type);
+  const style = theme.style;
+  const layout = SLIDE_FORMATS[format] || SLIDE_FORMATS.square;
+  const px = (size) => `${Math.round(size * layout.scale)}px`;
+  const brandColor = cssValue(branding?.primary_color, theme.text);
+  const brandMark = renderBrandMark(branding, slide.brand);
+  const fontUrl = `https://fonts.googleapis.com/css2?family=${encodeURIComponent(theme.font).replace(/%20/g, '+')}:wght@400;500;600;700&display=swap`;
 
-// HTML Template Generator for Instagram Carousel Slides
-export function generateSlideHTML(slide, brandLogo = null) {
   const baseStyles = `
+    @import url('${fontUrl}');
     * { margin: 0; padding: 0; box-sizing: border-box; }
-    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap');
     body { 
-      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
-      width: 1080px; 
-      height: 1080px; 
-      background: #FFFFFF;
+      font-family: '${theme.font}', -apple-system, BlinkMacSystemFont, sans-serif;
+      width: ${layout.width}px; 
+      height: ${layout.height}px; 
+      background: ${theme.background};
+      color: ${theme.text};
       display: flex;
       flex-direction: column;
       padding: 60px;
     }
     .brand {
       position: absolute;
-      bottom: 40px;
+      ${style.brandPosition === 'top' ? `top: ${40 + layout.safeTop}px` : `bottom: ${40 + layout.safeBottom}px`};
       left: 0;
       right: 0;
       text-align: center;
-      font-size: 28px;
+      font-size: ${px(28)};
       font-weight: 700;
       letter-spacing: 8px;
-      color: #000;
+      color: ${brandColor};
     }
-    .brand span { color: #000; }
+    .brand-logo { height: 64px; max-width: 360px; object-fit: contain; }
   `;
 
   let content = '';
 
   switch (slide.type) {
-    case 'cover':
+    case 'cover': {
+      // image_fit: cover crops to fill the frame, contain shows the whole image
+      const imageFit = slide.image_fit === 'contain' ? 'contain' : 'cover';
+      const illustration = slide.image_url
+        ? `<img class="illustration-image" src="${escapeHtml(slide.image_url)}" alt="">`
+        : `<div class="illustration-placeholder">
+            ${messages.coverPlaceholder}
+          </div>`;
+
       content = `
         <style>
           ${baseStyles}
-          body { justify-content: flex-end; padding-bottom: 140px; }
+          body { justify-content: flex-end; padding-bottom: ${140 + layout.safeBottom}px; }
           .illustration {
             position: absolute;
-            top: 60px;
+            top: ${60 + layout.safeTop}px;
             left: 60px;
             right: 60px;
-            height: 500px;
+            height: ${layout.illustrationHeight}px;
             display: flex;
             justify-content: center;
             align-items: center;
@@ -50,65 +171,71 @@ export function generateSlideHTML(slide, brandLogo = null) {
           .illustration-placeholder {
             width: 100%;
             height: 100%;
-            background: #f5f5f5;
+            background: ${theme.placeholder};
             border-radius: 20px;
             display: flex;
             align-items: center;
             justify-content: center;
-            color: #999;
+            color: ${theme.muted};
             font-size: 18px;
           }
+          .illustration-image {
+            width: 100%;
+            height: 100%;
+            object-fit: ${imageFit};
+            object-position: ${cssValue(slide.image_position, 'center')};
+            border-radius: 20px;
+          }
           .title {
-            font-size: 64px;
+            font-size: ${cssValue(style.titleSize, px(64))};
             font-weight: 700;
             line-height: 1.1;
-            color: #000;
+            color: ${theme.text};
             text-align: center;
             margin-bottom: 24px;
           }
           .subtitle {
-            font-size: 24px;
-            color: #666;
+            font-size: ${cssValue(style.subtitleSize, px(24))};
+            color: ${theme.muted};
             text-align: center;
             text-transform: uppercase;
             letter-spacing: 2px;
           }
         </style>
         <div class="illustration">
-          <div class="illustration-placeholder">
-            🎨 Gemini AI Görseli Buraya Gelecek
-          </div>
+          ${illustration}
         </div>
-        <h1 class="title">${slide.title}</h1>
-        <p class="subtitle">${slide.subtitle}</p>
-        <div class="brand">A<span>T</span>ASA</div>
+        <h1 class="title">${escapeHtml(slide.title || '')}</h1>
+        <p class="subtitle">${escapeHtml(slide.subtitle || '')}</p>
+        ${brandMark}
       `;
       break;
+    }
 
     case 'intro':
       content = `
         <style>
           ${baseStyles}
-          body { justify-content: center; padding: 80px; }
+          body { justify-content: center; padding: ${80 + layout.safeTop}px 80px ${80 + layout.safeBottom}px; }
           .greeting {
-            font-size: 32px;
+            font-size: ${cssValue(style.greetingSize, px(32))};
             font-weight: 500;
-            color: #000;
+            color: ${theme.text};
             margin-bottom: 24px;
           }
           .content {
-            font-size: 28px;
+            font-size: ${cssValue(style.contentSize, px(28))};
             line-height: 1.7;
-            color: #333;
+            color: ${theme.soft};
           }
           .content .highlight {
-            color: #0066FF;
+            color: ${theme.accent};
             font-weight: 500;
           }
         </style>
-        <p class="greeting">${slide.greeting}</p>
-        <p class="content">${slide.content.replace(/\n/g, '<br>').replace('Pazarlama Notları', '<span class="highlight">Göçmenlik Haberleri</span>')}</p>
-        <div class="brand">A<span>T</span>ASA</div>
+        <p class="greeting">${escapeHtml(slide.greeting || '')}</p>
+        <p class="content">${escapeHtml(slide.content || '').replace(/\n/g, '<br>').replace('Pazarlama Notları', '<span class="highlight">Göçmenlik Haberleri</span>')}</p>
+        ${brandMark}
       `;
       break;
 
@@ -117,53 +244,141 @@ export function generateSlideHTML(slide, brandLogo = null) {
       content = `
         <style>
           ${baseStyles}
-          body { justify-content: flex-start; padding: 80px 60px; }
+          body { justify-content: flex-start; padding: ${80 + layout.safeTop}px 60px ${80 + layout.safeBottom}px; }
           .header {
             display: flex;
             align-items: center;
             gap: 16px;
-            margin-bottom: 48px;
+            margin-bottom: ${px(48)};
           }
-          .emoji { font-size: 48px; }
-          .category-title { font-size: 42px; font-weight: 700; color: #000; }
+          .emoji { font-size: ${cssValue(style.emojiSize, px(48))}; }
+          .category-title { font-size: ${cssValue(style.titleSize, px(42))}; font-weight: 700; color: ${theme.text}; }
           .items { flex: 1; }
           .item {
             display: flex;
             align-items: flex-start;
             gap: 16px;
-            margin-bottom: 32px;
-            padding-bottom: 32px;
-            border-bottom: 1px solid #eee;
+            margin-bottom: ${px(32)};
+            padding-bottom: ${px(32)};
+            border-bottom: 1px solid ${theme.divider};
           }
           .item:last-child { border-bottom: none; }
           .bullet {
             width: 8px;
             height: 8px;
-            background: #000;
+            background: ${cssValue(style.bulletColor, theme.text)};
             border-radius: 50%;
             margin-top: 12px;
             flex-shrink: 0;
           }
           .item-content { flex: 1; }
-          .item-text { font-size: 26px; line-height: 1.5; color: #000; margin-bottom: 8px; }
-          .item-source { font-size: 20px; color: #0066FF; }
+          .item-text { font-size: ${cssValue(style.itemSize, px(26))}; line-height: 1.5; color: ${theme.text}; margin-bottom: 8px; }
+          .item-source { font-size: ${cssValue(style.sourceSize, px(20))}; color: ${theme.accent}; text-decoration: none; }
         </style>
         <div class="header">
-          <span class="emoji">${slide.emoji}</span>
-          <h2 class="category-title">${slide.category}</h2>
+          <span class="emoji">${escapeHtml(slide.emoji || '')}</span>
+          <h2 class="category-title">${escapeHtml(slide.category || '')}</h2>
         </div>
         <div class="items">
           ${items.map(item => `
             <div class="item">
               <div class="bullet"></div>
               <div class="item-content">
-                <p class="item-text">${item.text}</p>
-                <span class="item-source">(${item.source})</span>
+                <p class="item-text">${escapeHtml(item.text || '')}</p>
+                ${links && item.url
+                  ? `<a class="item-source" href="${escapeHtml(item.url)}">(${escapeHtml(item.source || '')})</a>`
+                  : `<span class="item-source">(${escapeHtml(item.source || '')})</span>`}
               </div>
             </div>
           `).join('')}
         </div>
-        <div class="brand">A<span>T</span>ASA</div>
+        ${brandMark}
+      `;
+      break;
+
+    case 'outro': {
+      const contacts = slide.contacts || {};
+      const contactRows = [
+        contacts.website && { icon: '🌐', text: contacts.website.replace(/^https?:\/\//, ''), href: contacts.website },
+        contacts.phone && { icon: '📞', text: contacts.phone, href: `tel:${contacts.phone.replace(/\s/g, '')}` },
+        contacts.email && { icon: '✉️', text: contacts.email, href: `mailto:${contacts.email}` },
+        contacts.instagram && { icon: '📸', text: `@${contacts.instagram.replace(/^@/, '')}`, href: `https://instagram.com/${contacts.instagram.replace(/^@/, '')}` }
+      ].filter(Boolean);
+
+      content = `
+        <style>
+          ${baseStyles}
+          body { justify-content: center; align-items: center; text-align: center; padding: ${80 + layout.safeTop}px 80px ${80 + layout.safeBottom}px; }
+          .outro-title { font-size: ${cssValue(style.titleSize, px(56))}; font-weight: 700; line-height: 1.15; color: ${theme.text}; margin-bottom: ${px(24)}; }
+          .cta { font-size: ${cssValue(style.contentSize, px(28))}; line-height: 1.6; color: ${theme.soft}; margin-bottom: ${px(56)}; }
+          .contacts { display: flex; flex-direction: column; gap: ${px(20)}; }
+          .contact { font-size: ${cssValue(style.itemSize, px(26))}; color: ${theme.accent}; text-decoration: none; font-weight: 500; }
+        </style>
+        <h2 class="outro-title">${escapeHtml(slide.title || messages.outroTitle)}</h2>
+        ${slide.cta ? `<p class="cta">${escapeHtml(slide.cta).replace(/\n/g, '<br>')}</p>` : ''}
+        <div class="contacts">
+          ${contactRows.map(row => links
+            ? `<a class="contact" href="${escapeHtml(row.href)}">${row.icon} ${escapeHtml(row.text)}</a>`
+            : `<span class="contact">${row.icon} ${escapeHtml(row.text)}</span>`).join('')}
+        </div>
+        ${brandMark}
+      `;
+      break;
+    }
+
+    case 'quote':
+      content = `
+        <style>
+          ${baseStyles}
+          body { justify-content: center; padding: ${80 + layout.safeTop}px 100px ${80 + layout.safeBottom}px; }
+          .quote-mark { font-size: ${px(160)}; line-height: 0.8; color: ${theme.accent}; font-weight: 700; }
+          .quote { font-size: ${cssValue(style.contentSize, px(40))}; line-height: 1.45; font-weight: 500; color: ${theme.text}; margin: ${px(16)} 0 ${px(40)}; }
+          .author { font-size: ${cssValue(style.itemSize, px(26))}; font-weight: 700; color: ${theme.text}; }
+          .author-role { font-size: ${cssValue(style.sourceSize, px(22))}; color: ${theme.muted}; margin-top: 6px; }
+        </style>
+        <div class="quote-mark">“</div>
+        <p class="quote">${escapeHtml(slide.quote || '')}</p>
+        ${slide.author ? `<p class="author">— ${escapeHtml(slide.author)}</p>` : ''}
+        ${slide.role ? `<p class="author-role">${escapeHtml(slide.role)}</p>` : ''}
+        ${brandMark}
+      `;
+      break;
+
+    case 'stat':
+      content = `
+        <style>
+          ${baseStyles}
+          body { justify-content: center; align-items: center; text-align: center; padding: ${80 + layout.safeTop}px 80px ${80 + layout.safeBottom}px; }
+          .stat-value { font-size: ${cssValue(style.titleSize, px(180))}; font-weight: 700; line-height: 1; color: ${theme.accent}; margin-bottom: ${px(32)}; }
+          .stat-label { font-size: ${cssValue(style.contentSize, px(36))}; font-weight: 600; line-height: 1.3; color: ${theme.text}; }
+          .stat-context { font-size: ${cssValue(style.itemSize, px(24))}; line-height: 1.6; color: ${theme.muted}; margin-top: ${px(24)}; max-width: 800px; }
+          .stat-source { font-size: ${cssValue(style.sourceSize, px(20))}; color: ${theme.muted}; margin-top: ${px(32)}; }
+        </style>
+        <div class="stat-value">${escapeHtml(slide.value ?? '')}</div>
+        <p class="stat-label">${escapeHtml(slide.label || '')}</p>
+        ${slide.context ? `<p class="stat-context">${escapeHtml(slide.context)}</p>` : ''}
+        ${slide.source ? `<p class="stat-source">${messages.source}: ${escapeHtml(slide.source)}</p>` : ''}
+        ${brandMark}
+      `;
+      break;
+
+    case 'story':
+      content = `
+        <style>
+          ${baseStyles}
+          body { justify-content: flex-start; padding: ${80 + layout.safeTop}px 70px ${80 + layout.safeBottom}px; }
+          .story-category { font-size: ${cssValue(style.sourceSize, px(22))}; font-weight: 600; text-transform: uppercase; letter-spacing: 2px; color: ${theme.accent}; margin-bottom: ${px(24)}; }
+          .story-title { font-size: ${cssValue(style.titleSize, px(44))}; font-weight: 700; line-height: 1.2; color: ${theme.text}; margin-bottom: ${px(32)}; }
+          .story-summary { font-size: ${cssValue(style.contentSize, px(28))}; line-height: 1.65; color: ${theme.soft}; }
+          .story-source { font-size: ${cssValue(style.sourceSize, px(20))}; color: ${theme.accent}; text-decoration: none; margin-top: ${px(32)}; display: block; }
+        </style>
+        ${slide.category ? `<p class="story-category">${slide.emoji ? `${escapeHtml(slide.emoji)} ` : ''}${escapeHtml(slide.category)}</p>` : ''}
+        <h2 class="story-title">${escapeHtml(slide.title || '')}</h2>
+        <p class="story-summary">${escapeHtml(slide.summary || '').replace(/\n/g, '<br>')}</p>
+        ${slide.source ? (links && slide.url
+          ? `<a class="story-source" href="${escapeHtml(slide.url)}">${messages.source}: ${escapeHtml(slide.source)}</a>`
+          : `<span class="story-source">${messages.source}: ${escapeHtml(slide.source)}</span>`) : ''}
+        ${brandMark}
       `;
       break;
 
@@ -171,56 +386,121 @@ export function generateSlideHTML(slide, brandLogo = null) {
       content = `
         <style>${baseStyles}</style>
         <div style="display:flex;align-items:center;justify-content:center;height:100%;">
-          <p>Unknown slide type: ${slide.type}</p>
+          <p>Unknown slide type: ${escapeHtml(slide.type)}</p>
         </div>
       `;
   }
 
-  return `<!DOCTYPE html><html><head><meta charset="UTF-8"></head><body>${content}</body></html>`;
-}
+  // Arabic script: fallback font for glyphs the template font lacks, and no letter-spacing
+  // (it breaks the joined letters). dir="rtl" mirrors text alignment and flex rows.
+  const rtlStyles = rtl ? `
+    <style>
+      @import url('https://fonts.googleapis.com/css2?family=Noto+Sans+Arabic:wght@400;500;600;700&display=swap');
+      body { font-family: '${theme.font}', 'Noto Sans Arabic', sans-serif; }
+      .brand, .subtitle, .story-category { letter-spacing: 0; }
+    </style>` : '';
 
-// Render slides to PNG images using Puppeteer
-export async function renderSlidesToImages(slides) {
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
-  });
+  return `<!DOCTYPE html><html lang="${lang}"${rtl ? ' dir="rtl"' : ''}><head><meta charset="UTF-8"></head><body>${content}${rtlStyles}</body></html>`;
+}
 
+// Render slides to PNG images using the shared Puppeteer browser
+// options: { template, branding, format, language } (see generateSlideHTML)
+export async function renderSlidesToImages(slides, options = {}) {
+  const layout = SLIDE_FORMATS[options.format] || SLIDE_FORMATS.square;
   const images = [];
 
-  try {
-    for (let i = 0; i < slides.length; i++) {
-      const slide = slides[i];
-      const html = generateSlideHTML(slide);
-      
-      const page = await browser.newPage();
-      await page.setViewport({ width: 1080, height: 1080 });
+  for (let i = 0; i < slides.length; i++) {
+    const slide = slides[i];
+    const html = generateSlideHTML(slide, options);
+
+    const imageBuffer = await withPage(async (page) => {
+      await page.setViewport({ width: layout.width, height: layout.height });
       await page.setContent(html, { waitUntil: 'networkidle0' });
       
       // Wait for fonts to load
       await page.evaluate(() => document.fonts.ready);
       
-      const imageBuffer = await page.screenshot({ type: 'png', encoding: 'binary' });
-      
-      images.push({
-        filename: `slide_${String(i + 1).padStart(2, '0')}_${slide.type}.png`,
-        buffer: imageBuffer,
-        slideNumber: i + 1,
-        type: slide.type
-      });
-      
-      await page.close();
+      return page.screenshot({ type: 'png', encoding: 'binary' });
+    });
+    
+    images.push({
+      filename: `slide_${String(i + 1).padStart(2, '0')}_${slide.type}.png`,
+      buffer: imageBuffer,
+      slideNumber: i + 1,
+      type: slide.type
+    });
+  }
+
+  return images;
+}
+
+// Render a stored carousel's slides, reusing cached PNGs whose content hash is unchanged
+export async function renderCarouselSlides(carouselId, slides, options = {}) {
+  const images = [];
+
+  for (let i = 0; i < slides.length; i++) {
+    const slide = slides[i];
+    const cacheKey = getRenderCacheKey(slide, options);
+    let buffer = await getCachedRender(carouselId, cacheKey);
+
+    if (!buffer) {
+      [{ buffer }] = await renderSlidesToImages([slide], options);
+      await putCachedRender(carouselId, cacheKey, buffer);
     }
-  } finally {
-    await browser.close();
+
+    images.push({
+      filename: `slide_${String(i + 1).padStart(2, '0')}_${slide.type}.png`,
+      buffer,
+      slideNumber: i + 1,
+      type: slide.type,
+      cacheKey
+    });
   }
 
   return images;
 }
 
-// Create ZIP archive from images
-export async function createImagesZip(images, weekRange) {
+/**
+ * Render slides into a single multi-page PDF, one slide per page in order
+ * (e.g. for LinkedIn document posts). Pass options.links to make sources clickable.
+ * @param {Array} slides - Slides to render
+ * @param {object} options - Render options { template, branding, format, links, language }
+ * @param {string} title - PDF document title
+ * @returns {Promise<Buffer>} - PDF file
+ */
+export async function renderSlidesToPdf(slides, options = {}, title = 'Carousel') {
+  const layout = SLIDE_FORMATS[options.format] || SLIDE_FORMATS.square;
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(title);
+
+  for (const slide of slides) {
+    const html = generateSlideHTML(slide, options);
+
+    // Chrome keeps <a> elements as link annotations in its PDF output
+    const slidePdfBuffer = await withPage(async (page) => {
+      await page.setViewport({ width: layout.width, height: layout.height });
+      await page.emulateMediaType('screen');
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+      await page.evaluate(() => document.fonts.ready);
+
+      return page.pdf({
+        width: `${layout.width}px`,
+        height: `${layout.height}px`,
+        printBackground: true,
+        pageRanges: '1'
+      });
+    });
+
+    const slidePdf = await PDFDocument.load(slidePdfBuffer);
+    const [slidePage] = await pdf.copyPages(slidePdf, [0]);
+    pdf.addPage(slidePage);
+  }
+
+  return Buffer.from(await pdf.save());
+}
+
+// Create ZIP archive from images (slides are used to note a cover that still has no image)
+export async function createImagesZip(images, weekRange, slides = []) {
   return new Promise((resolve, reject) => {
     const chunks = [];
     const archive = archiver('zip', { zlib: { level: 9 } });
@@ -231,13 +511,65 @@ export async function createImagesZip(images, weekRange) {
 
     images.forEach(img => archive.append(img.buffer, { name: img.filename }));
 
-    const readme = `Instagram Carousel - ${weekRange}\nGenerated: ${new Date().toISOString()}\n\nFiles:\n${images.map(img => `- ${img.filename}`).join('\n')}\n\nNote: Replace slide_01_cover.png illustration with Gemini AI generated image.\n`;
+    const coverWithoutImage = slides.some(slide => slide.type === 'cover' && !slide.image_url);
+    const note = coverWithoutImage ? '\nNote: The cover has no image yet. Upload one with POST /api/carousel/:id/cover (or set cover_image_url) and export again.\n' : '';
+    const readme = `Instagram Carousel - ${weekRange}\nGenerated: ${new Date().toISOString()}\n\nFiles:\n${images.map(img => `- ${img.filename}`).join('\n')}\n${note}`;
     archive.append(readme, { name: 'README.txt' });
 
     archive.finalize();
   });
 }
 
+// Load an ig_templates row by id (null when unset or missing → default design)
+export async function getTemplate(pool, templateId) {
+  if (!templateId) return null;
+  const result = await pool.query('SELECT * FROM ig_templates WHERE id = $1', [templateId]);
+  return result.rows[0] || null;
+}
+
+// Load a tenant's branding fields (null when the carousel has no tenant)
+export async function getBranding(pool, tenantId) {
+  if (!tenantId) return null;
+  const result = await pool.query('SELECT brand_name, logo_url, primary_color, content_language FROM ig_tenants WHERE id = $1', [tenantId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Parse a carousel's slides and put its cover image (cover_image_url + fit/position)
+ * on the cover slide. Image fields set on the slide itself win.
+ * @param {object} carousel - carousel_posts row
+ * @returns {Array} - Slides ready to render
+ */
+export function getCarouselSlides(carousel) {
+  const slides = typeof carousel.slides === 'string' ? JSON.parse(carousel.slides) : carousel.slides;
+  if (!carousel.cover_image_url) return slides;
+
+  return slides.map(slide => (slide.type === 'cover' ? {
+    ...slide,
+    image_url: slide.image_url || carousel.cover_image_url,
+    image_fit: slide.image_fit || carousel.cover_image_fit || 'cover',
+    image_position: slide.image_position || carousel.cover_image_position || 'center'
+  } : slide));
+}
+
+// Load a carousel with its parsed slides and render options (template, tenant branding, format, language).
+// A requested format overrides the carousel's own; the language is the one the carousel was generated in.
+export async function getCarouselForRender(pool, id, format = null) {
+  const result = await pool.query('SELECT * FROM carousel_posts WHERE id = $1', [id]);
+  if (result.rows.length === 0) return null;
+
+  const carousel = result.rows[0];
+  const slides = getCarouselSlides(carousel);
+  const branding = await getBranding(pool, carousel.tenant_id);
+  const options = {
+    template: await getTemplate(pool, carousel.template_id),
+    branding,
+    format: format || carousel.format || 'square',
+    language: carousel.language || branding?.content_language
+  };
+  return { carousel, slides, options };
+}
+
 // Express route handler for rendering carousel
 export function setupCarouselRenderRoutes(app, pool) {
   
@@ -245,16 +577,26 @@ export function setupCarouselRenderRoutes(app, pool) {
   app.get('/api/carousel/:id/render/:slideNumber', async (req, res) => {
     try {
       const { id, slideNumber } = req.params;
-      const result = await pool.query('SELECT * FROM carousel_posts WHERE id = $1', [id]);
-      if (result.rows.length === 0) return res.status(404).json({ error: 'Carousel not found' });
+      const { format } = req.query;
+      if (format && !isValidFormat(format)) return res.status(400).json({ error: `format must be one of: ${Object.keys(SLIDE_FORMATS).join(', ')}` });
       
-      const carousel = result.rows[0];
-      const slides = typeof carousel.slides === 'string' ? JSON.parse(carousel.slides) : carousel.slides;
+      const data = await getCarouselForRender(pool, id, format);
+      if (!data) return res.status(404).json({ error: 'Carousel not found' });
+      
+      const { slides, options } = data;
       const slideIndex = parseInt(slideNumber) - 1;
       
       if (slideIndex < 0 || slideIndex >= slides.length) return res.status(404).json({ error: 'Slide not found' });
       
-      const images = await renderSlidesToImages([slides[slideIndex]]);
+      const slide = slides[slideIndex];
+      
+      // Same content hash → same PNG, so clients (and Instagram's fetcher) can revalidate cheaply
+      const etag = `"${getRenderCacheKey(slide, options)}"`;
+      res.set('ETag', etag);
+      res.set('Cache-Control', 'public, max-age=60');
+      if (req.headers['if-none-match'] === etag) return res.status(304).end();
+      
+      const images = await renderCarouselSlides(id, [slide], options);
       res.set('Content-Type', 'image/png');
       res.set('Content-Disposition', `inline; filename="slide_${slideNumber}.png"`);
       res.send(images[0].buffer);
@@ -268,16 +610,18 @@ export function setupCarouselRenderRoutes(app, pool) {
   app.get('/api/carousel/:id/render-zip', async (req, res) => {
     try {
       const { id } = req.params;
-      const result = await pool.query('SELECT * FROM carousel_posts WHERE id = $1', [id]);
-      if (result.rows.length === 0) return res.status(404).json({ error: 'Carousel not found' });
+      const { format } = req.query;
+      if (format && !isValidFormat(format)) return res.status(400).json({ error: `format must be one of: ${Object.keys(SLIDE_FORMATS).join(', ')}` });
+      
+      const data = await getCarouselForRender(pool, id, format);
+      if (!data) return res.status(404).json({ error: 'Carousel not found' });
       
-      const carousel = result.rows[0];
-      const slides = typeof carousel.slides === 'string' ? JSON.parse(carousel.slides) : carousel.slides;
+      const { carousel, slides, options } = data;
       
-      console.log(`🎨 Rendering ${slides.length} slides for carousel ${id}...`);
+      console.log(`🎨 Rendering ${slides.length} ${options.format} slides for carousel ${id}...`);
       
-      const images = await renderSlidesToImages(slides);
-      const zipBuffer = await createImagesZip(images, carousel.title);
+      const images = await renderCarouselSlides(id, slides, options);
+      const zipBuffer = await createImagesZip(images, carousel.title, slides);
       const filename = `carousel_${id}_${Date.now()}.zip`;
       
       res.set('Content-Type', 'application/zip');
@@ -292,16 +636,51 @@ export function setupCarouselRenderRoutes(app, pool) {
     }
   });
 
+  // Render all slides as one multi-page PDF (?format=, ?links=false to drop source links)
+  app.get('/api/carousel/:id/render-pdf', async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { format, links } = req.query;
+      if (format && !isValidFormat(format)) return res.status(400).json({ error: `format must be one of: ${Object.keys(SLIDE_FORMATS).join(', ')}` });
+      
+      const data = await getCarouselForRender(pool, id, format);
+      if (!data) return res.status(404).json({ error: 'Carousel not found' });
+      
+      const { carousel, slides, options } = data;
+      
+      console.log(`📄 Rendering ${slides.length} slides to PDF for carousel ${id}...`);
+      
+      const pdfBuffer = await renderSlidesToPdf(slides, { ...options, links: links !== 'false' }, carousel.title);
+      const filename = `carousel_${id}_${Date.now()}.pdf`;
+      
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.set('Content-Length', pdfBuffer.length);
+      res.send(pdfBuffer);
+      
+      console.log(`✅ PDF created: ${filename} (${slides.length} pages)`);
+    } catch (error) {
+      console.error('PDF render error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // Render slides from POST data (for n8n webhook)
   app.post('/api/carousel/render', async (req, res) => {
     try {
-      const { slides, weekRange } = req.body;
+      const { slides, weekRange, template_id, tenant_id, format, language } = req.body;
       if (!slides || !Array.isArray(slides)) return res.status(400).json({ error: 'slides array required' });
+      if (format && !isValidFormat(format)) return res.status(400).json({ error: `format must be one of: ${Object.keys(SLIDE_FORMATS).join(', ')}` });
       
       console.log(`🎨 Rendering ${slides.length} slides from webhook...`);
       
-      const images = await renderSlidesToImages(slides);
-      const zipBuffer = await createImagesZip(images, weekRange || 'carousel');
+      const images = await renderSlidesToImages(slides, {
+        template: await getTemplate(pool, template_id),
+        branding: await getBranding(pool, tenant_id),
+        format: format || 'square',
+        language: language || undefined
+      });
+      const zipBuffer = await createImagesZip(images, weekRange || 'carousel', slides);
       const filename = `carousel_${Date.now()}.zip`;
       
       res.set('Content-Type', 'application/zip');
@@ -320,17 +699,17 @@ export function setupCarouselRenderRoutes(app, pool) {
   app.get('/api/carousel/:id/preview/:slideNumber', async (req, res) => {
     try {
       const { id, slideNumber } = req.params;
-      const result = await pool.query('SELECT * FROM carousel_posts WHERE id = $1', [id]);
-      if (result.rows.length === 0) return res.status(404).json({ error: 'Carousel not found' });
+      const { format } = req.query;
+      const data = await getCarouselForRender(pool, id, isValidFormat(format) ? format : null);
+      if (!data) return res.status(404).json({ error: 'Carousel not found' });
       
-      const carousel = result.rows[0];
-      const slides = typeof carousel.slides === 'string' ? JSON.parse(carousel.slides) : carousel.slides;
+      const { slides, options } = data;
       const slideIndex = parseInt(slideNumber) - 1;
       
       if (slideIndex < 0 || slideIndex >= slides.length) return res.status(404).json({ error: 'Slide not found' });
       
       res.set('Content-Type', 'text/html');
-      res.send(generateSlideHTML(slides[slideIndex]));
+      res.send(generateSlideHTML(slides[slideIndex], options));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
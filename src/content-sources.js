@@ -0,0 +1,331 @@
+// Content Sources (ig_content_sources) → news_items
+// RSS 2.0 / Atom feeds are polled per tenant, deduplicated by URL/title and
+// categorized with the source's category_mapping keyword rules.
+
+import { resolveLanguage } from './i18n.js';
+
+const SOURCE_TYPES = ['rss', 'webhook', 'manual', 'scraper'];
+const FETCH_TIMEOUT_MS = 15000;
+const DEFAULT_CATEGORY = 'Genel';
+const DEFAULT_EMOJI = '📢';
+
+let isRunning = false;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Text content of an element: CDATA unwrapped, tags stripped, entities decoded once.
+// Entity-escaped markup in descriptions ("&lt;p&gt;") is stripped again after decoding;
+// double-escaped text ("&amp;lt;img&amp;gt;") stays plain "&lt;img&gt;" text.
+function cleanText(value) {
+  if (!value) return '';
+  const unwrapped = value.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+  const stripTags = (text) => text.replace(/<[^>]+>/g, ' ');
+  return stripTags(decodeEntities(stripTags(unwrapped))).replace(/\s+/g, ' ').trim();
+}
+
+function getTag(xml, name) {
+  const match = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i').exec(xml);
+  return match ? match[1] : null;
+}
+
+function getAttribute(tag, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`, 'i').exec(tag);
+  return match ? decodeEntities(match[2]) : null;
+}
+
+// Atom <link rel="alternate" href="..."/>; a link without rel counts as alternate
+function getAtomLink(entry) {
+  const links = entry.match(/<link\b[^>]*>/gi) || [];
+  const alternate = links.find(link => !getAttribute(link, 'rel') || getAttribute(link, 'rel') === 'alternate');
+  return alternate ? getAttribute(alternate, 'href') : null;
+}
+
+/**
+ * Parse an RSS 2.0 or Atom feed into plain items
+ * @param {string} xml - Feed document
+ * @returns {Array} - [{ title, url, summary, publishedAt }]
+ */
+export function parseFeed(xml) {
+  const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+  const blocks = xml.match(isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi) || [];
+
+  return blocks.map(block => {
+    const title = cleanText(getTag(block, 'title'));
+    const url = isAtom
+      ? getAtomLink(block)
+      : cleanText(getTag(block, 'link')) || cleanText(getTag(block, 'guid')) || null;
+    const summary = cleanText(isAtom ? getTag(block, 'summary') || getTag(block, 'content') : getTag(block, 'description'));
+    const dateText = cleanText(isAtom ? getTag(block, 'published') || getTag(block, 'updated') : getTag(block, 'pubDate') || getTag(block, 'dc:date'));
+    const publishedAt = dateText ? new Date(dateText) : null;
+
+    return {
+      title,
+      url: url || null,
+      summary,
+      publishedAt: publishedAt && !isNaN(publishedAt.getTime()) ? publishedAt : null
+    };
+  }).filter(item => item.title);
+}
+
+/**
+ * Validate a category_mapping value:
+ * { rules: [{ category, emoji?, keywords: [] }], default_category?, default_emoji? }
+ * @returns {string|null} - Validation error message, null if valid
+ */
+function validateCategoryMapping(mapping) {
+  if (mapping === undefined || mapping === null) return null;
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) return 'category_mapping must be an object';
+  if (mapping.rules !== undefined && !Array.isArray(mapping.rules)) return 'category_mapping.rules must be an array';
+
+  for (const rule of mapping.rules || []) {
+    if (!rule || typeof rule.category !== 'string' || !rule.category.trim()) return 'Each category_mapping rule needs a category';
+    if (!Array.isArray(rule.keywords) || rule.keywords.some(keyword => typeof keyword !== 'string')) {
+      return `category_mapping rule "${rule.category}" needs a keywords array of strings`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick a category for an item: the first rule with a keyword found in the
+ * title or summary wins (case-insensitive in the tenant's language, so Turkish
+ * "İ/I" casing only applies to Turkish tenants)
+ * @param {object} item - { title, summary }
+ * @param {object} mapping - Source category_mapping
+ * @param {string} language - Tenant content_language
+ * @returns {object} - { category, emoji }
+ */
+export function categorizeItem(item, mapping, language) {
+  const locale = resolveLanguage(language);
+  const rules = mapping?.rules || [];
+  const text = `${item.title} ${item.summary || ''}`.toLocaleLowerCase(locale);
+
+  for (const rule of rules) {
+    if (rule.keywords.some(keyword => keyword.trim() && text.includes(keyword.trim().toLocaleLowerCase(locale)))) {
+      return { category: rule.category, emoji: rule.emoji || null };
+    }
+  }
+  return {
+    category: mapping?.default_category || DEFAULT_CATEGORY,
+    emoji: mapping?.default_emoji || DEFAULT_EMOJI
+  };
+}
+
+function parseJson(value) {
+  if (!value) return {};
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Fetch one RSS/Atom source and insert its new items into news_items.
+ * Items already stored for the tenant (same URL or same title) are skipped.
+ * @param {object} pool - pg Pool
+ * @param {object} source - ig_content_sources row
+ * @returns {Promise<object>} - { inserted, skipped }
+ */
+export async function fetchContentSource(pool, source) {
+  const config = parseJson(source.config);
+  const mapping = parseJson(source.category_mapping);
+  if (!config.url) throw new Error('config.url required for rss sources');
+
+  try {
+    const response = await fetch(config.url, {
+      headers: { 'User-Agent': 'atasa-blog-api feed reader', 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`Feed fetch failed (${response.status})`);
+
+    const items = parseFeed(await response.text());
+    const tenantResult = await pool.query('SELECT content_language FROM ig_tenants WHERE id = $1', [source.tenant_id]);
+    const language = tenantResult.rows[0]?.content_language;
+    let inserted = 0;
+    let skipped = 0;
+
+    for (const item of items) {
+      const title = item.title.slice(0, 500);
+      const duplicate = await pool.query(
+        `SELECT id FROM news_items
+         WHERE tenant_id = $1 AND ((source_url IS NOT NULL AND source_url = $2) OR LOWER(title) = LOWER($3))
+         LIMIT 1`,
+        [source.tenant_id, item.url, title]
+      );
+      if (duplicate.rows.length > 0) {
+        skipped++;
+        continue;
+      }
+
+      const { category, emoji } = categorizeItem(item, mapping, language);
+      await pool.query(
+        `INSERT INTO news_items (tenant_id, source_id, category, title, summary, source_url, source_name, emoji, news_date)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [source.tenant_id, source.id, category.slice(0, 100), title, item.summary || null, item.url, (config.source_name || source.name).slice(0, 100), emoji, item.publishedAt || new Date()]
+      );
+      inserted++;
+    }
+
+    await pool.query(
+      'UPDATE ig_content_sources SET last_fetched_at = CURRENT_TIMESTAMP, last_error = NULL WHERE id = $1',
+      [source.id]
+    );
+    return { inserted, skipped };
+  } catch (error) {
+    // Still stamp last_fetched_at so a broken feed waits a full interval before the next try
+    await pool.query(
+      'UPDATE ig_content_sources SET last_fetched_at = CURRENT_TIMESTAMP, last_error = $1 WHERE id = $2',
+      [error.message, source.id]
+    );
+    throw error;
+  }
+}
+
+/**
+ * Poll every active RSS source whose fetch interval has elapsed
+ * @param {object} pool - pg Pool
+ */
+export async function checkContentSources(pool) {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const result = await pool.query(
+      `SELECT * FROM ig_content_sources
+       WHERE is_active = TRUE AND source_type = 'rss'
+         AND (last_fetched_at IS NULL OR last_fetched_at <= NOW() - make_interval(mins => fetch_interval_minutes))
+       ORDER BY last_fetched_at NULLS FIRST`
+    );
+
+    for (const source of result.rows) {
+      try {
+        const { inserted, skipped } = await fetchContentSource(pool, source);
+        console.log(`📰 ${source.name}: ${inserted} new items, ${skipped} duplicates`);
+      } catch (error) {
+        console.error(`❌ Content source ${source.id} (${source.name}) failed:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Content source check error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Validate content source fields from a request body
+ * @returns {string|null} - Validation error message, null if valid
+ */
+function validateSourceInput(body) {
+  if (body.source_type !== undefined && !SOURCE_TYPES.includes(body.source_type)) {
+    return `source_type must be one of: ${SOURCE_TYPES.join(', ')}`;
+  }
+  if (body.config !== undefined && body.config !== null && (typeof body.config !== 'object' || Array.isArray(body.config))) {
+    return 'config must be an object';
+  }
+  if (body.source_type === 'rss' && body.config?.url !== undefined && !/^https?:\/\//i.test(body.config.url)) {
+    return 'config.url must be an http(s) URL';
+  }
+  if (body.fetch_interval_minutes !== undefined && !(parseInt(body.fetch_interval_minutes) >= 5)) {
+    return 'fetch_interval_minutes must be at least 5';
+  }
+  return validateCategoryMapping(body.category_mapping);
+}
+
+/**
+ * Setup Express routes for content sources
+ */
+export function setupContentSourceRoutes(app, pool) {
+
+  // List a tenant's sources (?tenant_id=)
+  app.get('/api/content-sources', async (req, res) => {
+    try {
+      const { tenant_id } = req.query;
+      if (!tenant_id) return res.status(400).json({ error: 'tenant_id required' });
+
+      const result = await pool.query('SELECT * FROM ig_content_sources WHERE tenant_id = $1 ORDER BY created_at DESC', [tenant_id]);
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/content-sources', async (req, res) => {
+    try {
+      const { tenant_id, name, source_type, config, category_mapping, is_active, fetch_interval_minutes } = req.body;
+      if (!tenant_id || !name || !source_type) return res.status(400).json({ error: 'tenant_id, name, source_type required' });
+      if (source_type === 'rss' && !config?.url) return res.status(400).json({ error: 'config.url required for rss sources' });
+
+      const validationError = validateSourceInput(req.body);
+      if (validationError) return res.status(400).json({ error: validationError });
+
+      const result = await pool.query(
+        `INSERT INTO ig_content_sources (tenant_id, name, source_type, config, category_mapping, is_active, fetch_interval_minutes)
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6, TRUE), COALESCE($7, 60)) RETURNING *`,
+        [tenant_id, name, source_type, JSON.stringify(config || {}), JSON.stringify(category_mapping || {}), is_active, fetch_interval_minutes ? parseInt(fetch_interval_minutes) : null]
+      );
+      res.status(201).json({ success: true, source: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.put('/api/content-sources/:id', async (req, res) => {
+    try {
+      const { name, source_type, config, category_mapping, is_active, fetch_interval_minutes } = req.body;
+      const validationError = validateSourceInput(req.body);
+      if (validationError) return res.status(400).json({ error: validationError });
+
+      const result = await pool.query(
+        `UPDATE ig_content_sources SET
+          name = COALESCE($1, name),
+          source_type = COALESCE($2, source_type),
+          config = COALESCE($3, config),
+          category_mapping = COALESCE($4, category_mapping),
+          is_active = COALESCE($5, is_active),
+          fetch_interval_minutes = COALESCE($6, fetch_interval_minutes)
+        WHERE id = $7 RETURNING *`,
+        [name, source_type, config ? JSON.stringify(config) : null, category_mapping ? JSON.stringify(category_mapping) : null, is_active, fetch_interval_minutes ? parseInt(fetch_interval_minutes) : null, req.params.id]
+      );
+      if (result.rows.length === 0) return res.status(404).json({ error: 'Content source not found' });
+      res.json({ success: true, source: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete a source; its already imported news_items stay
+  app.delete('/api/content-sources/:id', async (req, res) => {
+    try {
+      const result = await pool.query('DELETE FROM ig_content_sources WHERE id = $1 RETURNING id', [req.params.id]);
+      if (result.rows.length === 0) return res.status(404).json({ error: 'Content source not found' });
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Fetch a feed right now instead of waiting for the poller
+  app.post('/api/content-sources/:id/fetch', async (req, res) => {
+    try {
+      const result = await pool.query('SELECT * FROM ig_content_sources WHERE id = $1', [req.params.id]);
+      if (result.rows.length === 0) return res.status(404).json({ error: 'Content source not found' });
+
+      const source = result.rows[0];
+      if (source.source_type !== 'rss') return res.status(400).json({ error: 'Only rss sources can be fetched' });
+
+      const counts = await fetchContentSource(pool, source);
+      res.json({ success: true, ...counts });
+    } catch (error) {
+      console.error('Content source fetch error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
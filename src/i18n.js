@@ -0,0 +1,133 @@
+// Message catalogs for carousel content, selected by ig_tenants.content_language
+// Every generated string (slides, captions, demo news, week ranges) comes from here;
+// unknown languages fall back to Turkish.
+
+export const DEFAULT_LANGUAGE = 'tr';
+
+// Languages written right-to-left; their slides get dir="rtl"
+const RTL_LANGUAGES = ['ar'];
+
+const MESSAGES = {
+  tr: {
+    // Used in the LLM prompt ("... Türkçe yaz")
+    languageName: 'Türkçe',
+    months: ['Ocak', 'Şubat', 'Mart', 'Nisan', 'Mayıs', 'Haziran', 'Temmuz', 'Ağustos', 'Eylül', 'Ekim', 'Kasım', 'Aralık'],
+    carouselTitle: (weekRange) => `Göçmenlik Haberleri - ${weekRange}`,
+    coverTitle: 'Türkiye Göçmenlik Haberleri',
+    coverPlaceholder: '🎨 Gemini AI Görseli Buraya Gelecek',
+    greeting: 'Merhaba,',
+    defaultIntro: `Bu hafta Göçmenlik Haberleri serisinde, Türkiye'deki göçmenlik mevzuatı ve uygulamalarındaki son gelişmeleri sizin için derledik.\n\nOturma izni düzenlemelerinden çalışma izni kolaylıklarına, vatandaşlık güncellemelerinden vize haberlerine kadar bu sayıda haberdar olmanız gereken birçok yeni gelişme sizi bekliyor.\n\nKeyifli okumalar ☕`,
+    otherCategory: 'Diğer',
+    outroTitle: 'Bizi takip edin',
+    outroCta: 'Göçmenlik süreçlerinizle ilgili sorularınız için bize ulaşın.',
+    source: 'Kaynak',
+    captionLead: (count) => `Bu hafta ${count} farklı kategoride güncel haberler sizlerle!`,
+    captionSwipe: 'Kaydırarak tüm haberleri görüntüleyin!',
+    defaultHashtags: '#göçmenlik #türkiye #oturmaiizni #çalışmaizni #vize #vatandaşlık',
+    demoNews: [
+      { name: 'Oturma İzni', titles: ['Kısa dönem oturma izni başvurularında yeni düzenleme yapıldı.', "İstanbul'da oturma izni randevu sistemi güncellendi.", 'Aile ikamet izni için gerekli belgeler listesi yenilendi.'] },
+      { name: 'Çalışma İzni', titles: ['Yabancı çalışanlar için yeni istihdam teşviki açıklandı.', 'Bağımsız çalışma izni başvuru süreci kolaylaştırıldı.', 'Turkuaz Kart sahipleri için yeni haklar tanımlandı.'] },
+      { name: 'Vatandaşlık', titles: ['Yatırım yoluyla vatandaşlık için dolar kuru güncellendi.', 'Olağanüstü vatandaşlık başvuruları hızlandırılıyor.'] },
+      { name: 'Vize', titles: ['Schengen vize randevuları için yeni dönem başlıyor.', 'Türkiye-Rusya arasında vizesiz seyahat süresi uzatıldı.', 'E-Vize sistemine yeni ülkeler eklendi.'] },
+      { name: 'Genel', titles: ['Göç İdaresi online hizmetler portalı yenilendi.', 'Yabancılar için TÜRKSAT uydu TV paketi tanıtıldı.'] }
+    ]
+  },
+
+  en: {
+    languageName: 'İngilizce',
+    months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+    carouselTitle: (weekRange) => `Immigration News - ${weekRange}`,
+    coverTitle: 'Turkey Immigration News',
+    coverPlaceholder: '🎨 AI illustration goes here',
+    greeting: 'Hello,',
+    defaultIntro: `This week in our Immigration News series, we have gathered the latest developments in Turkey's immigration legislation and practice for you.\n\nFrom residence permit rules to work permit simplifications, from citizenship updates to visa news, this issue brings many new developments you should know about.\n\nEnjoy your reading ☕`,
+    otherCategory: 'Other',
+    outroTitle: 'Follow us',
+    outroCta: 'Contact us with any questions about your immigration process.',
+    source: 'Source',
+    captionLead: (count) => `This week's latest news in ${count} ${count === 1 ? 'category' : 'categories'}!`,
+    captionSwipe: 'Swipe to see all the news!',
+    defaultHashtags: '#immigration #turkey #residencepermit #workpermit #visa #citizenship',
+    demoNews: [
+      { name: 'Residence Permit', titles: ['New regulation introduced for short-term residence permit applications.', 'Istanbul residence permit appointment system updated.', 'List of required documents for family residence permits renewed.'] },
+      { name: 'Work Permit', titles: ['New employment incentive announced for foreign employees.', 'Independent work permit application process simplified.', 'New rights defined for Turquoise Card holders.'] },
+      { name: 'Citizenship', titles: ['Dollar rate for citizenship by investment updated.', 'Exceptional citizenship applications are being accelerated.'] },
+      { name: 'Visa', titles: ['New period begins for Schengen visa appointments.', 'Visa-free travel period between Turkey and Russia extended.', 'New countries added to the e-Visa system.'] },
+      { name: 'General', titles: ['Migration Management online services portal renewed.', 'TÜRKSAT satellite TV package introduced for foreigners.'] }
+    ]
+  },
+
+  ru: {
+    languageName: 'Rusça',
+    // Genitive forms: "12 октября"
+    months: ['января', 'февраля', 'марта', 'апреля', 'мая', 'июня', 'июля', 'августа', 'сентября', 'октября', 'ноября', 'декабря'],
+    carouselTitle: (weekRange) => `Новости миграции - ${weekRange}`,
+    coverTitle: 'Миграционные новости Турции',
+    coverPlaceholder: '🎨 Здесь будет AI-иллюстрация',
+    greeting: 'Здравствуйте!',
+    defaultIntro: `На этой неделе в рубрике «Новости миграции» мы собрали для вас последние изменения в миграционном законодательстве и практике Турции.\n\nОт правил получения ВНЖ до упрощений в разрешениях на работу, от новостей о гражданстве до визовых новостей — в этом выпуске вас ждёт много важного.\n\nПриятного чтения ☕`,
+    otherCategory: 'Другое',
+    outroTitle: 'Подписывайтесь на нас',
+    outroCta: 'Свяжитесь с нами по любым вопросам о ваших миграционных процедурах.',
+    source: 'Источник',
+    captionLead: (count) => `Свежие новости недели в ${count} ${count % 10 === 1 && count % 100 !== 11 ? 'категории' : 'категориях'}!`,
+    captionSwipe: 'Листайте, чтобы увидеть все новости!',
+    defaultHashtags: '#миграция #турция #внж #разрешениенаработу #виза #гражданство',
+    demoNews: [
+      { name: 'ВНЖ', titles: ['Введены новые правила подачи заявлений на краткосрочный ВНЖ.', 'В Стамбуле обновлена система записи на ВНЖ.', 'Обновлён список документов для семейного ВНЖ.'] },
+      { name: 'Разрешение на работу', titles: ['Объявлена новая программа стимулирования занятости иностранцев.', 'Упрощена процедура получения разрешения на самостоятельную работу.', 'Для обладателей Бирюзовой карты определены новые права.'] },
+      { name: 'Гражданство', titles: ['Обновлён курс доллара для получения гражданства за инвестиции.', 'Рассмотрение заявлений на исключительное гражданство ускоряется.'] },
+      { name: 'Визы', titles: ['Начинается новый период записи на шенгенские визы.', 'Продлён срок безвизового пребывания между Турцией и Россией.', 'В систему электронных виз добавлены новые страны.'] },
+      { name: 'Общее', titles: ['Обновлён портал онлайн-услуг Миграционной службы.', 'Для иностранцев представлен спутниковый ТВ-пакет TÜRKSAT.'] }
+    ]
+  },
+
+  ar: {
+    languageName: 'Arapça',
+    months: ['يناير', 'فبراير', 'مارس', 'أبريل', 'مايو', 'يونيو', 'يوليو', 'أغسطس', 'سبتمبر', 'أكتوبر', 'نوفمبر', 'ديسمبر'],
+    carouselTitle: (weekRange) => `أخبار الهجرة - ${weekRange}`,
+    coverTitle: 'أخبار الهجرة في تركيا',
+    coverPlaceholder: '🎨 هنا ستظهر صورة الذكاء الاصطناعي',
+    greeting: 'مرحباً،',
+    defaultIntro: `جمعنا لكم هذا الأسبوع في سلسلة أخبار الهجرة آخر التطورات في قوانين وإجراءات الهجرة في تركيا.\n\nمن لوائح الإقامة إلى تسهيلات تصاريح العمل، ومن تحديثات الجنسية إلى أخبار التأشيرات، ينتظركم في هذا العدد الكثير من المستجدات المهمة.\n\nقراءة ممتعة ☕`,
+    otherCategory: 'أخرى',
+    outroTitle: 'تابعونا',
+    outroCta: 'تواصلوا معنا لأي استفسار حول إجراءات الهجرة الخاصة بكم.',
+    source: 'المصدر',
+    captionLead: (count) => `أحدث أخبار هذا الأسبوع في ${count} ${count >= 3 && count <= 10 ? 'فئات' : 'فئة'}!`,
+    captionSwipe: 'اسحبوا لمشاهدة جميع الأخبار!',
+    defaultHashtags: '#الهجرة #تركيا #الإقامة #تصريح_العمل #التأشيرة #الجنسية',
+    demoNews: [
+      { name: 'الإقامة', titles: ['تنظيم جديد لطلبات الإقامة قصيرة الأجل.', 'تحديث نظام مواعيد الإقامة في إسطنبول.', 'تجديد قائمة الوثائق المطلوبة للإقامة العائلية.'] },
+      { name: 'تصريح العمل', titles: ['الإعلان عن حافز توظيف جديد للعاملين الأجانب.', 'تسهيل إجراءات طلب تصريح العمل المستقل.', 'حقوق جديدة لحاملي البطاقة الفيروزية.'] },
+      { name: 'الجنسية', titles: ['تحديث سعر صرف الدولار للحصول على الجنسية عبر الاستثمار.', 'تسريع طلبات الجنسية الاستثنائية.'] },
+      { name: 'التأشيرة', titles: ['بدء فترة جديدة لمواعيد تأشيرة شنغن.', 'تمديد مدة السفر دون تأشيرة بين تركيا وروسيا.', 'إضافة دول جديدة إلى نظام التأشيرة الإلكترونية.'] },
+      { name: 'عام', titles: ['تجديد بوابة الخدمات الإلكترونية لرئاسة إدارة الهجرة.', 'إطلاق باقة تلفزيون TÜRKSAT الفضائية للأجانب.'] }
+    ]
+  }
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(MESSAGES);
+
+// "tr", "TR", "tr-TR" → "tr"; anything unsupported → DEFAULT_LANGUAGE
+export function resolveLanguage(language) {
+  const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+  return MESSAGES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+export function isSupportedLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(MESSAGES, language);
+}
+
+/**
+ * Message catalog for a content language
+ * @param {string} language - ig_tenants.content_language (e.g. 'tr', 'en', 'ru', 'ar')
+ * @returns {object} - Catalog, Turkish for unknown languages
+ */
+export function getMessages(language) {
+  return MESSAGES[resolveLanguage(language)];
+}
+
+export function isRtl(language) {
+  return RTL_LANGUAGES.includes(resolveLanguage(language));
+}
@@ -0,0 +1,291 @@
+// Cover image generation from cover_image_prompt
+// Providers: OpenAI Images-compatible HTTP API and a deterministic local stub (tests/dev).
+// Every attempt is recorded in carousel_cover_generations so editors can pick a variant.
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { getMediaStorage } from './media-storage.js';
+import { invalidateCarouselRenders } from './render-cache.js';
+
+const MAX_VARIANTS = 4;
+
+// Images API accepts b64_json responses for DALL·E models only; gpt-image-* always return base64
+function createOpenAIImagesProvider() {
+  const baseUrl = (process.env.IMAGE_GEN_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const model = process.env.IMAGE_GEN_MODEL || 'gpt-image-1';
+  const size = process.env.IMAGE_GEN_SIZE || '1536x1024';
+
+  return {
+    name: 'openai',
+
+    async generate(prompt, { apiKey }) {
+      if (!apiKey) throw new Error('No OpenAI API key (settings.openai_api_key or IMAGE_GEN_API_KEY)');
+
+      const body = { model, prompt, size, n: 1 };
+      if (model.startsWith('dall-e')) body.response_format = 'b64_json';
+
+      const response = await fetch(`${baseUrl}/images/generations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (data.error) throw new Error(data.error.message);
+
+      const image = data.data?.[0];
+      if (image?.b64_json) {
+        return { buffer: Buffer.from(image.b64_json, 'base64'), contentType: 'image/png', revisedPrompt: image.revised_prompt || null };
+      }
+      if (image?.url) {
+        const imageResponse = await fetch(image.url);
+        if (!imageResponse.ok) throw new Error(`Generated image download failed (${imageResponse.status})`);
+        return {
+          buffer: Buffer.from(await imageResponse.arrayBuffer()),
+          contentType: imageResponse.headers.get('content-type') || 'image/png',
+          revisedPrompt: image.revised_prompt || null
+        };
+      }
+      throw new Error('Image API returned no image');
+    }
+  };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type, 'ascii'), data])));
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, crc]);
+}
+
+/**
+ * Deterministic two-tone stripe PNG: same prompt + variant → same bytes.
+ * No network, so tests and local dev can exercise the whole flow.
+ */
+function createStubProvider() {
+  return {
+    name: 'stub',
+
+    async generate(prompt, { variant = 0 } = {}) {
+      const hash = crypto.createHash('sha256').update(`${variant}:${prompt}`).digest();
+      const width = 96;
+      const height = 64;
+      const rows = [];
+
+      for (let y = 0; y < height; y++) {
+        const row = Buffer.alloc(1 + width * 3);
+        for (let x = 0; x < width; x++) {
+          const offset = Math.floor((x + y) / 8) % 2 === 0 ? 0 : 3;
+          hash.copy(row, 1 + x * 3, offset, offset + 3);
+        }
+        rows.push(row);
+      }
+
+      const header = Buffer.alloc(13);
+      header.writeUInt32BE(width, 0);
+      header.writeUInt32BE(height, 4);
+      header[8] = 8; // bit depth
+      header[9] = 2; // truecolor RGB
+
+      const buffer = Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+        pngChunk('IEND', Buffer.alloc(0))
+      ]);
+
+      return { buffer, contentType: 'image/png', revisedPrompt: null };
+    }
+  };
+}
+
+let provider = null;
+
+/**
+ * Image provider selected by IMAGE_GEN_PROVIDER (openai | stub)
+ */
+export function getImageProvider() {
+  if (!provider) {
+    const providerName = process.env.IMAGE_GEN_PROVIDER || 'openai';
+    if (providerName === 'openai') provider = createOpenAIImagesProvider();
+    else if (providerName === 'stub') provider = createStubProvider();
+    else throw new Error(`Unknown IMAGE_GEN_PROVIDER: ${providerName}`);
+  }
+  return provider;
+}
+
+async function getOpenAIKey(pool) {
+  if (process.env.IMAGE_GEN_API_KEY) return process.env.IMAGE_GEN_API_KEY;
+  const result = await pool.query(`SELECT value FROM settings WHERE key = 'openai_api_key'`);
+  return result.rows[0]?.value || null;
+}
+
+/**
+ * Generate cover variants for a carousel. Each attempt gets a
+ * carousel_cover_generations row, failed ones included.
+ * @param {object} pool - pg Pool
+ * @param {object} carousel - carousel_posts row
+ * @param {string} prompt - Image prompt
+ * @param {number} count - Number of variants (1-4)
+ * @returns {Promise<Array>} - Recorded generation rows
+ */
+export async function generateCoverVariants(pool, carousel, prompt, count = 1) {
+  const imageProvider = getImageProvider();
+  const apiKey = imageProvider.name === 'openai' ? await getOpenAIKey(pool) : null;
+  const previous = await pool.query('SELECT COUNT(*)::int AS count FROM carousel_cover_generations WHERE carousel_id = $1', [carousel.id]);
+  const generations = [];
+
+  for (let i = 0; i < count; i++) {
+    const attempt = await pool.query(
+      `INSERT INTO carousel_cover_generations (carousel_id, provider, prompt) VALUES ($1, $2, $3) RETURNING *`,
+      [carousel.id, imageProvider.name, prompt]
+    );
+    const generation = attempt.rows[0];
+
+    try {
+      const image = await imageProvider.generate(prompt, { apiKey, variant: previous.rows[0].count + i });
+      const extension = image.contentType === 'image/jpeg' ? 'jpg' : image.contentType === 'image/webp' ? 'webp' : 'png';
+      const key = `carousels/${carousel.id}/generated-${generation.id}.${extension}`;
+      const publicUrl = await getMediaStorage().put(key, image.buffer, image.contentType);
+
+      const result = await pool.query(
+        `UPDATE carousel_cover_generations SET status = 'succeeded', image_url = $1, storage_key = $2, revised_prompt = $3 WHERE id = $4 RETURNING *`,
+        [publicUrl, key, image.revisedPrompt, generation.id]
+      );
+      generations.push(result.rows[0]);
+      console.log(`🎨 Cover variant ${generation.id} generated for carousel ${carousel.id}`);
+    } catch (error) {
+      console.error(`❌ Cover generation ${generation.id} failed:`, error.message);
+      const result = await pool.query(
+        `UPDATE carousel_cover_generations SET status = 'failed', error_message = $1 WHERE id = $2 RETURNING *`,
+        [error.message, generation.id]
+      );
+      generations.push(result.rows[0]);
+    }
+  }
+
+  return generations;
+}
+
+/**
+ * Make a generated variant the carousel's cover image
+ * @returns {Promise<object|null>} - Updated carousel_posts row, null if the variant is missing/failed
+ */
+export async function selectCoverVariant(pool, carouselId, generationId) {
+  const generationResult = await pool.query(
+    `SELECT * FROM carousel_cover_generations WHERE id = $1 AND carousel_id = $2 AND status = 'succeeded'`,
+    [generationId, carouselId]
+  );
+  if (generationResult.rows.length === 0) return null;
+
+  const generation = generationResult.rows[0];
+  await pool.query('UPDATE carousel_cover_generations SET is_selected = (id = $1) WHERE carousel_id = $2', [generation.id, carouselId]);
+
+  // cover_image_key is for uploaded covers only; variant objects belong to their generation row
+  const current = await pool.query('SELECT cover_image_key FROM carousel_posts WHERE id = $1', [carouselId]);
+  if (current.rows[0]?.cover_image_key) {
+    await getMediaStorage().delete(current.rows[0].cover_image_key).catch(error => console.error('Cover delete error:', error.message));
+  }
+
+  const result = await pool.query(
+    `UPDATE carousel_posts SET cover_image_url = $1, cover_image_key = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *`,
+    [generation.image_url, carouselId]
+  );
+  await invalidateCarouselRenders(carouselId);
+  return result.rows[0];
+}
+
+/**
+ * Delete stored images of every generated variant of a carousel
+ */
+export async function deleteCoverGenerations(pool, carouselId) {
+  const result = await pool.query(
+    'SELECT storage_key FROM carousel_cover_generations WHERE carousel_id = $1 AND storage_key IS NOT NULL',
+    [carouselId]
+  );
+
+  for (const { storage_key } of result.rows) {
+    try {
+      await getMediaStorage().delete(storage_key);
+    } catch (error) {
+      console.error(`Generated cover delete error (${storage_key}):`, error.message);
+    }
+  }
+
+  await pool.query('DELETE FROM carousel_cover_generations WHERE carousel_id = $1', [carouselId]);
+}
+
+/**
+ * Setup Express routes for cover image generation
+ */
+export function setupImageGenerationRoutes(app, pool) {
+
+  // Generate new cover variants (body: prompt?, count?, select?).
+  // The prompt defaults to cover_image_prompt; the first successful variant becomes
+  // the cover when the carousel has none yet or select is true.
+  app.post('/api/carousel/:id/cover/generate', async (req, res) => {
+    try {
+      const { prompt, select } = req.body;
+      const count = parseInt(req.body.count || '1');
+      if (isNaN(count) || count < 1 || count > MAX_VARIANTS) {
+        return res.status(400).json({ error: `count must be between 1 and ${MAX_VARIANTS}` });
+      }
+
+      const carouselResult = await pool.query('SELECT * FROM carousel_posts WHERE id = $1', [req.params.id]);
+      if (carouselResult.rows.length === 0) return res.status(404).json({ error: 'Carousel not found' });
+
+      const carousel = carouselResult.rows[0];
+      const imagePrompt = prompt || carousel.cover_image_prompt;
+      if (!imagePrompt) return res.status(400).json({ error: 'prompt required (carousel has no cover_image_prompt)' });
+
+      const generations = await generateCoverVariants(pool, carousel, imagePrompt, count);
+      const firstSuccess = generations.find(generation => generation.status === 'succeeded');
+
+      let updatedCarousel = carousel;
+      if (firstSuccess && (select || !carousel.cover_image_url)) {
+        updatedCarousel = await selectCoverVariant(pool, carousel.id, firstSuccess.id);
+      }
+
+      res.status(firstSuccess ? 201 : 502).json({ success: !!firstSuccess, generations, carousel: updatedCarousel });
+    } catch (error) {
+      console.error('Cover generation error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // All generation attempts of a carousel, newest first
+  app.get('/api/carousel/:id/cover/generations', async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM carousel_cover_generations WHERE carousel_id = $1 ORDER BY created_at DESC, id DESC',
+        [req.params.id]
+      );
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Pick a variant as the cover image
+  app.post('/api/carousel/:id/cover/generations/:generationId/select', async (req, res) => {
+    try {
+      const carousel = await selectCoverVariant(pool, req.params.id, req.params.generationId);
+      if (!carousel) return res.status(404).json({ error: 'Generated cover not found' });
+      res.json({ success: true, carousel });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
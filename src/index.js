@@ -2,8 +2,23 @@ import express from 'express';
 import cors from 'cors';
 import pg from 'pg';
 import 'dotenv/config';
-import { setupCarouselRenderRoutes } from './carousel-render.js';
+import { setupCarouselRenderRoutes, isValidFormat, SLIDE_FORMATS } from './carousel-render.js';
 import { setupInstagramRoutes } from './instagram-publisher.js';
+import { checkInstagramTokens, setupInstagramTokenRoutes } from './instagram-tokens.js';
+import { syncInstagramInsights, setupAnalyticsRoutes } from './instagram-insights.js';
+import { checkScheduledCarouselPosts, setupSchedulerRoutes } from './scheduler.js';
+import { checkPublishJobs, setupPublishJobRoutes } from './publish-jobs.js';
+import { setupTemplateRoutes } from './templates.js';
+import { getBrowserPoolStats } from './browser-pool.js';
+import { invalidateCarouselRenders } from './render-cache.js';
+import { setupMediaStorageRoutes, deleteCarouselAssets, deleteCoverObject } from './media-storage.js';
+import { generateDemoNews, createSlidesWithBrand, generateCaption, generateCoverPrompt, validateContentTemplate, renderContentTemplate } from './carousel-content.js';
+import { setupImageGenerationRoutes, deleteCoverGenerations } from './image-generation.js';
+import { checkContentSources, setupContentSourceRoutes } from './content-sources.js';
+import { resolveWeekRange, loadWeeklyNews, markNewsItemsUsed, releaseNewsItems, setupNewsItemRoutes } from './news-items.js';
+import { summarizeNews, saveNewsItemTexts, setupNewsSummarizerRoutes } from './news-summarizer.js';
+import { getMessages, resolveLanguage, isSupportedLanguage, SUPPORTED_LANGUAGES } from './i18n.js';
+import { reencryptTenantTokens, omitTenantSecrets } from './token-crypto.js';
 
 const { Pool } = pg;
 const app = express();
@@ -120,6 +135,18 @@ async function initDB() {
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`);
 
+    await pool.query(`CREATE TABLE IF NOT EXISTS ig_content_sources (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER REFERENCES ig_tenants(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      source_type VARCHAR(20) NOT NULL,
+      config JSONB DEFAULT '{}',
+      category_mapping JSONB DEFAULT '{}',
+      is_active BOOLEAN DEFAULT TRUE,
+      last_fetched_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
     await pool.query(`CREATE TABLE IF NOT EXISTS ig_scheduled_posts (
       id SERIAL PRIMARY KEY,
       tenant_id INTEGER REFERENCES ig_tenants(id) ON DELETE CASCADE,
@@ -132,6 +159,70 @@ async function initDB() {
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`);
 
+    // Instagram publish jobs (step + container ids saved as they are created, for resume)
+    await pool.query(`CREATE TABLE IF NOT EXISTS ig_publish_jobs (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER REFERENCES ig_tenants(id) ON DELETE CASCADE,
+      carousel_id INTEGER REFERENCES carousel_posts(id) ON DELETE CASCADE,
+      status VARCHAR(20) DEFAULT 'pending',
+      step VARCHAR(30) DEFAULT 'queued',
+      image_urls JSONB,
+      caption TEXT,
+      child_container_ids JSONB DEFAULT '[]',
+      carousel_container_id VARCHAR(50),
+      ig_media_id VARCHAR(50),
+      error_message TEXT,
+      attempts INTEGER DEFAULT 0,
+      media_lookup_attempts INTEGER DEFAULT 0,
+      locked_at TIMESTAMP,
+      started_at TIMESTAMP,
+      finished_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Rendered slide images uploaded to media storage (one row per slide per driver)
+    await pool.query(`CREATE TABLE IF NOT EXISTS carousel_assets (
+      id SERIAL PRIMARY KEY,
+      carousel_id INTEGER REFERENCES carousel_posts(id) ON DELETE CASCADE,
+      slide_number INTEGER NOT NULL,
+      storage_driver VARCHAR(20) NOT NULL,
+      storage_key TEXT NOT NULL,
+      public_url TEXT NOT NULL,
+      content_hash VARCHAR(64),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(carousel_id, slide_number, storage_driver)
+    )`);
+
+    await pool.query(`CREATE TABLE IF NOT EXISTS carousel_cover_generations (
+      id SERIAL PRIMARY KEY,
+      carousel_id INTEGER REFERENCES carousel_posts(id) ON DELETE CASCADE,
+      provider VARCHAR(20) NOT NULL,
+      prompt TEXT NOT NULL,
+      revised_prompt TEXT,
+      status VARCHAR(20) DEFAULT 'pending',
+      image_url TEXT,
+      storage_key TEXT,
+      error_message TEXT,
+      is_selected BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Instagram Insights snapshots (cumulative numbers of a post at fetched_at)
+    await pool.query(`CREATE TABLE IF NOT EXISTS ig_analytics (
+      id SERIAL PRIMARY KEY,
+      tenant_id INTEGER REFERENCES ig_tenants(id) ON DELETE CASCADE,
+      carousel_id INTEGER REFERENCES carousel_posts(id) ON DELETE CASCADE,
+      ig_media_id VARCHAR(50),
+      impressions INTEGER DEFAULT 0,
+      reach INTEGER DEFAULT 0,
+      likes INTEGER DEFAULT 0,
+      comments INTEGER DEFAULT 0,
+      saves INTEGER DEFAULT 0,
+      shares INTEGER DEFAULT 0,
+      fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
     // Add columns if not exist
     await pool.query(`ALTER TABLE youtube_videos ADD COLUMN IF NOT EXISTS audio_url TEXT`);
     await pool.query(`ALTER TABLE youtube_videos ADD COLUMN IF NOT EXISTS audio_status VARCHAR(20) DEFAULT 'pending'`);
@@ -143,6 +234,47 @@ async function initDB() {
     await pool.query(`ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS ig_media_id VARCHAR(50)`);
     await pool.query(`ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP`);
     await pool.query(`ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS caption TEXT`);
+    await pool.query(`ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES ig_templates(id) ON DELETE SET NULL`);
+    await pool.query(`ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS format VARCHAR(20) DEFAULT 'square'`);
+    await pool.query(`ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS cover_image_key TEXT`);
+    await pool.query(`ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS cover_image_fit VARCHAR(10) DEFAULT 'cover'`);
+    await pool.query(`ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS cover_image_position VARCHAR(20) DEFAULT 'center'`);
+    await pool.query(`ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS website_url TEXT`);
+    await pool.query(`ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS contact_phone VARCHAR(50)`);
+    await pool.query(`ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS outro_enabled BOOLEAN DEFAULT FALSE`);
+    await pool.query(`ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS outro_title TEXT`);
+    await pool.query(`ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS outro_cta TEXT`);
+    await pool.query(`ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS caption_template TEXT`);
+    await pool.query(`ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS ig_token_refreshed_at TIMESTAMP`);
+    await pool.query(`ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS ig_token_refresh_attempted_at TIMESTAMP`);
+    await pool.query(`ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS ig_token_refresh_error TEXT`);
+    await pool.query(`ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS ig_token_invalid BOOLEAN DEFAULT FALSE`);
+    await pool.query(`ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS ig_token_alert_status VARCHAR(20)`);
+    await pool.query(`ALTER TABLE ig_tenants ADD COLUMN IF NOT EXISTS ig_insights_permission_error TEXT`);
+    await pool.query(`ALTER TABLE ig_scheduled_posts ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP`);
+    await pool.query(`ALTER TABLE ig_scheduled_posts ADD COLUMN IF NOT EXISTS publish_job_id INTEGER REFERENCES ig_publish_jobs(id) ON DELETE SET NULL`);
+    await pool.query(`ALTER TABLE ig_content_sources ADD COLUMN IF NOT EXISTS fetch_interval_minutes INTEGER DEFAULT 60`);
+    await pool.query(`ALTER TABLE ig_content_sources ADD COLUMN IF NOT EXISTS last_error TEXT`);
+    await pool.query(`ALTER TABLE news_items ADD COLUMN IF NOT EXISTS tenant_id INTEGER REFERENCES ig_tenants(id) ON DELETE CASCADE`);
+    await pool.query(`ALTER TABLE news_items ADD COLUMN IF NOT EXISTS source_id INTEGER REFERENCES ig_content_sources(id) ON DELETE SET NULL`);
+    await pool.query(`ALTER TABLE news_items ADD COLUMN IF NOT EXISTS is_excluded BOOLEAN DEFAULT FALSE`);
+    await pool.query(`ALTER TABLE news_items ADD COLUMN IF NOT EXISTS sort_order INTEGER DEFAULT 0`);
+    await pool.query(`ALTER TABLE news_items ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`);
+    await pool.query(`ALTER TABLE news_items ADD COLUMN IF NOT EXISTS ai_text TEXT`);
+    await pool.query(`ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS original_caption TEXT`);
+    await pool.query(`ALTER TABLE carousel_posts ADD COLUMN IF NOT EXISTS language VARCHAR(5)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_news_items_tenant_date ON news_items(tenant_id, news_date)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_ig_analytics_carousel_fetched ON ig_analytics(carousel_id, fetched_at)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_ig_analytics_tenant_fetched ON ig_analytics(tenant_id, fetched_at)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_publish_jobs_status ON ig_publish_jobs(status, created_at)`);
+    // One scheduled post in flight per carousel; duplicates left from before the index are cancelled (the earliest is kept)
+    await pool.query(`UPDATE ig_scheduled_posts SET status = 'cancelled', error_message = 'Duplicate scheduled post'
+      WHERE status IN ('pending', 'processing') AND id NOT IN (
+        SELECT MIN(id) FROM ig_scheduled_posts WHERE status IN ('pending', 'processing') GROUP BY carousel_id
+      )`);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_posts_active_carousel ON ig_scheduled_posts(carousel_id) WHERE status IN ('pending', 'processing')`);
+    // One active job per carousel; a second publish request fails on this instead of racing the first
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_publish_jobs_active_carousel ON ig_publish_jobs(carousel_id) WHERE status IN ('pending', 'running')`);
 
     // Default settings
     await pool.query(`INSERT INTO settings (key, value) VALUES ('autopilot', 'false') ON CONFLICT (key) DO NOTHING`);
@@ -161,6 +293,9 @@ async function initDB() {
     // Default tenant (Atasa)
     await pool.query(`INSERT INTO ig_tenants (name, slug, email, brand_name, default_hashtags, plan, monthly_post_limit) VALUES ('Atasa Danışmanlık', 'atasa', 'info@atasadanismanlik.com', 'ATASA', '#göçmenlik #türkiye #oturmaiizni #çalışmaizni #vize #vatandaşlık', 'pro', 20) ON CONFLICT (slug) DO NOTHING`);
 
+    // Encrypt legacy plaintext tokens / move them to the current TOKEN_ENCRYPTION_KEYS key
+    await reencryptTenantTokens(pool);
+
     console.log('✅ Database initialized with multi-tenant support');
   } catch (error) { console.error('Database init error:', error); }
 }
@@ -206,22 +341,23 @@ app.get('/api/tenants/:slug', async (req, res) => {
     const result = await pool.query('SELECT * FROM ig_tenants WHERE slug = $1', [req.params.slug]);
     if (result.rows.length === 0) return res.status(404).json({ error: 'Tenant not found' });
     // Don't expose access token
-    const tenant = result.rows[0];
-    delete tenant.ig_access_token;
-    res.json(tenant);
+    res.json(omitTenantSecrets(result.rows[0]));
   } catch (error) { res.status(500).json({ error: error.message }); }
 });
 
 app.post('/api/tenants', async (req, res) => {
   try {
-    const { name, slug, email, brand_name, default_hashtags, plan } = req.body;
+    const { name, slug, email, brand_name, default_hashtags, plan, content_language, intro_template, caption_template } = req.body;
     if (!name || !slug || !email) return res.status(400).json({ error: 'name, slug, email required' });
+    if (content_language && !isSupportedLanguage(content_language)) return res.status(400).json({ error: `content_language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+    const templateError = validateContentTemplate(intro_template, 'intro_template') || validateContentTemplate(caption_template, 'caption_template');
+    if (templateError) return res.status(400).json({ error: templateError });
 
     const result = await pool.query(
-      `INSERT INTO ig_tenants (name, slug, email, brand_name, default_hashtags, plan) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-      [name, slug.toLowerCase(), email, brand_name || name.split(' ')[0].toUpperCase(), default_hashtags || '', plan || 'free']
+      `INSERT INTO ig_tenants (name, slug, email, brand_name, default_hashtags, plan, content_language, intro_template, caption_template) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+      [name, slug.toLowerCase(), email, brand_name || name.split(' ')[0].toUpperCase(), default_hashtags || '', plan || 'free', content_language || 'tr', intro_template || null, caption_template || null]
     );
-    res.status(201).json({ success: true, tenant: result.rows[0] });
+    res.status(201).json({ success: true, tenant: omitTenantSecrets(result.rows[0]) });
   } catch (error) {
     if (error.code === '23505') return res.status(400).json({ error: 'Slug already exists' });
     res.status(500).json({ error: error.message });
@@ -230,7 +366,10 @@ app.post('/api/tenants', async (req, res) => {
 
 app.put('/api/tenants/:id', async (req, res) => {
   try {
-    const { name, email, brand_name, logo_url, primary_color, default_hashtags, plan, monthly_post_limit, is_active } = req.body;
+    const { name, email, brand_name, logo_url, primary_color, default_hashtags, plan, monthly_post_limit, is_active, website_url, contact_phone, outro_enabled, outro_title, outro_cta, content_language, intro_template, caption_template } = req.body;
+    if (content_language && !isSupportedLanguage(content_language)) return res.status(400).json({ error: `content_language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+    const templateError = validateContentTemplate(intro_template, 'intro_template') || validateContentTemplate(caption_template, 'caption_template');
+    if (templateError) return res.status(400).json({ error: templateError });
     const result = await pool.query(
       `UPDATE ig_tenants SET 
         name = COALESCE($1, name),
@@ -242,12 +381,20 @@ app.put('/api/tenants/:id', async (req, res) => {
         plan = COALESCE($7, plan),
         monthly_post_limit = COALESCE($8, monthly_post_limit),
         is_active = COALESCE($9, is_active),
+        website_url = COALESCE($11, website_url),
+        contact_phone = COALESCE($12, contact_phone),
+        outro_enabled = COALESCE($13, outro_enabled),
+        outro_title = COALESCE($14, outro_title),
+        outro_cta = COALESCE($15, outro_cta),
+        content_language = COALESCE($16, content_language),
+        intro_template = COALESCE($17, intro_template),
+        caption_template = COALESCE($18, caption_template),
         updated_at = CURRENT_TIMESTAMP
       WHERE id = $10 RETURNING *`,
-      [name, email, brand_name, logo_url, primary_color, default_hashtags, plan, monthly_post_limit, is_active, req.params.id]
+      [name, email, brand_name, logo_url, primary_color, default_hashtags, plan, monthly_post_limit, is_active, req.params.id, website_url, contact_phone, outro_enabled, outro_title, outro_cta, content_language, intro_template, caption_template]
     );
     if (result.rows.length === 0) return res.status(404).json({ error: 'Tenant not found' });
-    res.json({ success: true, tenant: result.rows[0] });
+    res.json({ success: true, tenant: omitTenantSecrets(result.rows[0]) });
   } catch (error) { res.status(500).json({ error: error.message }); }
 });
 
@@ -258,64 +405,10 @@ app.delete('/api/tenants/:id', async (req, res) => {
   } catch (error) { res.status(500).json({ error: error.message }); }
 });
 
-// =====================
-// DEMO NEWS API
-// =====================
-function generateDemoNews() {
-  const today = new Date();
-  const weekStart = new Date(today);
-  weekStart.setDate(today.getDate() - today.getDay() + 1);
-  const weekEnd = new Date(weekStart);
-  weekEnd.setDate(weekStart.getDate() + 6);
-
-  const formatDate = (d) => `${d.getDate()} ${['Ocak', 'Şubat', 'Mart', 'Nisan', 'Mayıs', 'Haziran', 'Temmuz', 'Ağustos', 'Eylül', 'Ekim', 'Kasım', 'Aralık'][d.getMonth()]}`;
-
-  return {
-    weekRange: `${formatDate(weekStart)} - ${formatDate(weekEnd)} ${today.getFullYear()}`,
-    weekStart: weekStart.toISOString().split('T')[0],
-    weekEnd: weekEnd.toISOString().split('T')[0],
-    categories: [
-      {
-        name: "Oturma İzni", emoji: "🏠", news: [
-          { title: "Kısa dönem oturma izni başvurularında yeni düzenleme yapıldı.", source: "GİB", url: "https://goc.gov.tr" },
-          { title: "İstanbul'da oturma izni randevu sistemi güncellendi.", source: "İl Göç", url: "https://istanbul.goc.gov.tr" },
-          { title: "Aile ikamet izni için gerekli belgeler listesi yenilendi.", source: "GİB", url: "https://goc.gov.tr" }
-        ]
-      },
-      {
-        name: "Çalışma İzni", emoji: "💼", news: [
-          { title: "Yabancı çalışanlar için yeni istihdam teşviki açıklandı.", source: "ÇSGB", url: "https://csgb.gov.tr" },
-          { title: "Bağımsız çalışma izni başvuru süreci kolaylaştırıldı.", source: "ÇSGB", url: "https://csgb.gov.tr" },
-          { title: "Turkuaz Kart sahipleri için yeni haklar tanımlandı.", source: "Resmi Gazete", url: "https://resmigazete.gov.tr" }
-        ]
-      },
-      {
-        name: "Vatandaşlık", emoji: "🇹🇷", news: [
-          { title: "Yatırım yoluyla vatandaşlık için dolar kuru güncellendi.", source: "Nüfus", url: "https://nvi.gov.tr" },
-          { title: "Olağanüstü vatandaşlık başvuruları hızlandırılıyor.", source: "İçişleri", url: "https://icisleri.gov.tr" }
-        ]
-      },
-      {
-        name: "Vize", emoji: "✈️", news: [
-          { title: "Schengen vize randevuları için yeni dönem başlıyor.", source: "Konsolosluk", url: "https://vfs.com" },
-          { title: "Türkiye-Rusya arasında vizesiz seyahat süresi uzatıldı.", source: "Dışişleri", url: "https://mfa.gov.tr" },
-          { title: "E-Vize sistemine yeni ülkeler eklendi.", source: "E-Vize", url: "https://evisa.gov.tr" }
-        ]
-      },
-      {
-        name: "Genel", emoji: "📢", news: [
-          { title: "Göç İdaresi online hizmetler portalı yenilendi.", source: "GİB", url: "https://goc.gov.tr" },
-          { title: "Yabancılar için TÜRKSAT uydu TV paketi tanıtıldı.", source: "TÜRKSAT", url: "https://turksat.com.tr" }
-        ]
-      }
-    ]
-  };
-}
-
 // =====================
 // CAROUSEL API ENDPOINTS
 // =====================
-app.get('/api/carousel/demo-news', (req, res) => res.json(generateDemoNews()));
+app.get('/api/carousel/demo-news', (req, res) => res.json(generateDemoNews(req.query.language)));
 
 app.get('/api/carousel', async (req, res) => {
   try {
@@ -341,10 +434,11 @@ app.get('/api/carousel/:id', async (req, res) => {
 
 app.post('/api/carousel', async (req, res) => {
   try {
-    const { title, week_start, week_end, slides, raw_news, cover_image_prompt, tenant_id, caption } = req.body;
+    const { title, week_start, week_end, slides, raw_news, cover_image_prompt, tenant_id, caption, template_id, format } = req.body;
+    if (format && !isValidFormat(format)) return res.status(400).json({ error: `format must be one of: ${Object.keys(SLIDE_FORMATS).join(', ')}` });
     const result = await pool.query(
-      `INSERT INTO carousel_posts (title, week_start, week_end, slides, raw_news, cover_image_prompt, tenant_id, caption) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
-      [title, week_start, week_end, JSON.stringify(slides || []), JSON.stringify(raw_news || []), cover_image_prompt, tenant_id || null, caption || null]
+      `INSERT INTO carousel_posts (title, week_start, week_end, slides, raw_news, cover_image_prompt, tenant_id, caption, template_id, format) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [title, week_start, week_end, JSON.stringify(slides || []), JSON.stringify(raw_news || []), cover_image_prompt, tenant_id || null, caption || null, template_id || null, format || 'square']
     );
     res.status(201).json({ success: true, carousel: result.rows[0] });
   } catch (error) { res.status(500).json({ error: error.message }); }
@@ -352,116 +446,184 @@ app.post('/api/carousel', async (req, res) => {
 
 app.put('/api/carousel/:id', async (req, res) => {
   try {
-    const { title, slides, cover_image_url, cover_image_prompt, status, caption, scheduled_at } = req.body;
+    const { title, slides, cover_image_url, cover_image_prompt, status, caption, scheduled_at, template_id, format, cover_image_fit, cover_image_position } = req.body;
+    if (format && !isValidFormat(format)) return res.status(400).json({ error: `format must be one of: ${Object.keys(SLIDE_FORMATS).join(', ')}` });
+    // A cover set by URL replaces an uploaded cover; its key is cleared and the stored object deleted
+    const previous = cover_image_url ? (await pool.query('SELECT cover_image_url, cover_image_key FROM carousel_posts WHERE id = $1', [req.params.id])).rows[0] : null;
     const result = await pool.query(
       `UPDATE carousel_posts SET 
         title = COALESCE($1, title), 
         slides = COALESCE($2, slides), 
         cover_image_url = COALESCE($3, cover_image_url), 
+        cover_image_key = CASE WHEN $3::text IS NOT NULL AND $3::text IS DISTINCT FROM cover_image_url THEN NULL ELSE cover_image_key END,
         cover_image_prompt = COALESCE($4, cover_image_prompt), 
         status = COALESCE($5, status),
         caption = COALESCE($6, caption),
         scheduled_at = COALESCE($7, scheduled_at),
+        template_id = COALESCE($9, template_id),
+        format = COALESCE($10, format),
+        cover_image_fit = COALESCE($11, cover_image_fit),
+        cover_image_position = COALESCE($12, cover_image_position),
         updated_at = CURRENT_TIMESTAMP, 
         published_at = CASE WHEN $5 = 'published' THEN CURRENT_TIMESTAMP ELSE published_at END 
       WHERE id = $8 RETURNING *`,
-      [title, slides ? JSON.stringify(slides) : null, cover_image_url, cover_image_prompt, status, caption, scheduled_at, req.params.id]
+      [title, slides ? JSON.stringify(slides) : null, cover_image_url, cover_image_prompt, status, caption, scheduled_at, req.params.id, template_id, format, cover_image_fit, cover_image_position]
     );
     if (result.rows.length === 0) return res.status(404).json({ error: 'Carousel not found' });
+    if (previous?.cover_image_key && previous.cover_image_url !== cover_image_url) await deleteCoverObject(previous);
+    // Slide or design changes make the cached PNGs stale
+    if (slides || template_id || format || cover_image_url || cover_image_fit || cover_image_position) await invalidateCarouselRenders(req.params.id);
     res.json({ success: true, carousel: result.rows[0] });
   } catch (error) { res.status(500).json({ error: error.message }); }
 });
 
 app.delete('/api/carousel/:id', async (req, res) => {
-  try { await pool.query('DELETE FROM carousel_posts WHERE id = $1', [req.params.id]); res.json({ success: true }); }
+  try { await deleteCarouselAssets(pool, req.params.id); await deleteCoverGenerations(pool, req.params.id); await releaseNewsItems(pool, req.params.id); await pool.query('DELETE FROM carousel_posts WHERE id = $1', [req.params.id]); await invalidateCarouselRenders(req.params.id); res.json({ success: true }); }
   catch (error) { res.status(500).json({ error: error.message }); }
 });
 
 app.post('/api/carousel/generate', async (req, res) => {
   try {
-    const { news_data, openai_content, tenant_id } = req.body;
-    if (!news_data) return res.status(400).json({ error: 'news_data required' });
+    const { openai_content, tenant_id, template_id, format, week_start, week_end, max_per_category, category_limits, bullet_max_chars } = req.body;
+    if (!req.body.news_data && !tenant_id) return res.status(400).json({ error: 'news_data or tenant_id required' });
+    if (format && !isValidFormat(format)) return res.status(400).json({ error: `format must be one of: ${Object.keys(SLIDE_FORMATS).join(', ')}` });
 
-    // Get tenant info for branding
+    // Get tenant info for branding and content language
     let brandName = 'ATASA';
     let hashtags = '';
+    let tenant = null;
     if (tenant_id) {
-      const tenantResult = await pool.query('SELECT brand_name, default_hashtags FROM ig_tenants WHERE id = $1', [tenant_id]);
+      const tenantResult = await pool.query('SELECT * FROM ig_tenants WHERE id = $1', [tenant_id]);
       if (tenantResult.rows.length > 0) {
-        brandName = tenantResult.rows[0].brand_name || brandName;
-        hashtags = tenantResult.rows[0].default_hashtags || '';
+        tenant = tenantResult.rows[0];
+        brandName = tenant.brand_name || brandName;
+        hashtags = tenant.default_hashtags || '';
       }
     }
+    const language = resolveLanguage(tenant?.content_language);
+
+    // Without news_data, build the week from the tenant's unused news_items
+    let news_data = req.body.news_data;
+    if (!news_data) {
+      const range = resolveWeekRange(week_start, week_end);
+      if (!range) return res.status(400).json({ error: 'week_start/week_end must be valid dates (YYYY-MM-DD)' });
+
+      news_data = await loadWeeklyNews(pool, tenant_id, range, {
+        perCategory: max_per_category ? parseInt(max_per_category) : undefined,
+        categoryLimits: category_limits || {},
+        language
+      });
+      if (news_data.categories.length === 0) return res.status(400).json({ error: 'No unused news_items for this tenant and week' });
+    }
 
-    const slides = createSlidesWithBrand(news_data, brandName);
-    const caption = generateCaption(news_data, hashtags);
+    // openai_content: rewrite items into bullets and write intro + caption; originals are kept for revert
+    let generated = null;
+    let aiError = null;
+    if (openai_content) {
+      try {
+        generated = await summarizeNews(pool, news_data, { brandName, language, maxChars: bullet_max_chars ? parseInt(bullet_max_chars) : undefined });
+        news_data = generated.newsData;
+        await saveNewsItemTexts(pool, news_data);
+      } catch (error) {
+        console.error('⚠️ News summarization failed, using original text:', error.message);
+        aiError = error.message;
+      }
+    }
 
-    const result = await pool.query(
-      `INSERT INTO carousel_posts (title, week_start, week_end, slides, raw_news, cover_image_prompt, tenant_id, caption) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
-      [`Göçmenlik Haberleri - ${news_data.weekRange}`, news_data.weekStart, news_data.weekEnd, JSON.stringify(slides), JSON.stringify(news_data), generateCoverPrompt(news_data), tenant_id || null, caption]
-    );
+    const slides = createSlidesWithBrand(news_data, brandName, { format: format || 'square', tenant, intro: generated?.intro, language });
+    // A tenant caption_template replaces the built-in category list caption
+    const templateCaption = tenant?.caption_template ? renderContentTemplate(tenant.caption_template, news_data, brandName) : null;
+    const originalCaption = generateCaption(news_data, hashtags, templateCaption, language);
+    const caption = generated?.caption ? generateCaption(news_data, hashtags, generated.caption, language) : originalCaption;
+
+    // The carousel and its news_items claim are saved together, so a failed claim leaves no orphan carousel
+    const client = await pool.connect();
+    let result;
+    let newsItemsUsed;
+    try {
+      await client.query('BEGIN');
+      result = await client.query(
+        `INSERT INTO carousel_posts (title, week_start, week_end, slides, raw_news, cover_image_prompt, tenant_id, caption, template_id, format, original_caption, language) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+        [getMessages(language).carouselTitle(news_data.weekRange), news_data.weekStart, news_data.weekEnd, JSON.stringify(slides), JSON.stringify(news_data), generateCoverPrompt(news_data), tenant_id || null, caption, template_id || null, format || 'square', caption !== originalCaption ? originalCaption : null, language]
+      );
+      newsItemsUsed = await markNewsItemsUsed(client, result.rows[0].id, slides, tenant_id);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-    res.status(201).json({ success: true, carousel: result.rows[0], slides_count: slides.length });
+    res.status(201).json({ success: true, carousel: result.rows[0], slides_count: slides.length, news_items_used: newsItemsUsed, ai_error: aiError });
   } catch (error) { console.error('Carousel generate error:', error); res.status(500).json({ error: error.message }); }
 });
 
-function createSlidesWithBrand(rawNews, brandName) {
-  const slides = [];
-  slides.push({ type: 'cover', title: 'Türkiye Göçmenlik Haberleri', subtitle: rawNews.weekRange, brand: brandName, image_placeholder: true });
-  slides.push({ type: 'intro', greeting: 'Merhaba,', content: `Bu hafta Göçmenlik Haberleri serisinde, Türkiye'deki göçmenlik mevzuatı ve uygulamalarındaki son gelişmeleri sizin için derledik.\n\nOturma izni düzenlemelerinden çalışma izni kolaylıklarına, vatandaşlık güncellemelerinden vize haberlerine kadar bu sayıda haberdar olmanız gereken birçok yeni gelişme sizi bekliyor.\n\nKeyifli okumalar ☕`, brand: brandName });
-  rawNews.categories.forEach(cat => {
-    slides.push({ type: 'category', emoji: cat.emoji, category: cat.name, items: cat.news.map(n => ({ text: n.title, source: n.source, url: n.url })), brand: brandName });
-  });
-  return slides;
-}
-
-function generateCaption(news, hashtags) {
-  const categoryCount = news.categories.length;
-  let caption = `📰 Türkiye Göçmenlik Haberleri - ${news.weekRange}\n\n`;
-  caption += `Bu hafta ${categoryCount} farklı kategoride güncel haberler sizlerle!\n\n`;
-  news.categories.forEach(cat => { caption += `${cat.emoji} ${cat.name}\n`; });
-  caption += `\n📌 Kaydırarak tüm haberleri görüntüleyin!\n\n`;
-  caption += hashtags || '#göçmenlik #türkiye #oturmaiizni #çalışmaizni #vize #vatandaşlık';
-  return caption;
-}
-
-function generateCoverPrompt(news) {
-  return `Minimalist black and white illustration for Instagram carousel cover. Theme: Immigration and travel in Turkey. Style: Clean line art, similar to modern editorial illustrations. Elements: Two people - one holding documents/passport, another with a suitcase or looking at a phone. No text in the image itself. Professional, friendly, and approachable mood.`;
-}
-
 // Setup carousel render routes (PNG/ZIP generation)
 setupCarouselRenderRoutes(app, pool);
 
+// Setup media storage routes (stored slide images for publishing)
+setupMediaStorageRoutes(app, pool);
+
+// Setup image generation routes (AI cover variants)
+setupImageGenerationRoutes(app, pool);
+
 // Setup Instagram routes (OAuth + Publishing)
 setupInstagramRoutes(app, pool);
 
+// Setup publish job routes (queued Instagram publishing + progress)
+setupPublishJobRoutes(app, pool);
+
+// Setup Instagram token routes (manual token refresh)
+setupInstagramTokenRoutes(app, pool);
+
+// Setup analytics routes (Instagram Insights per tenant/carousel)
+setupAnalyticsRoutes(app, pool);
+
+// Setup scheduler routes (scheduled Instagram posts)
+setupSchedulerRoutes(app, pool);
+
+// Setup template routes (design templates + preview)
+setupTemplateRoutes(app, pool);
+
+// Setup content source routes (RSS/Atom feeds → news_items)
+setupContentSourceRoutes(app, pool);
+
+// Setup news item routes (curation of stored news)
+setupNewsItemRoutes(app, pool);
+
+// Setup news summarizer routes (revert generated text)
+setupNewsSummarizerRoutes(app, pool);
+
 // =====================
 // SCHEDULED POST CHECKER
 // =====================
-async function checkScheduledCarouselPosts() {
-  try {
-    const result = await pool.query(
-      `SELECT sp.*, c.slides, t.ig_access_token, t.ig_user_id, t.default_hashtags
-       FROM ig_scheduled_posts sp
-       JOIN carousel_posts c ON sp.carousel_id = c.id
-       JOIN ig_tenants t ON sp.tenant_id = t.id
-       WHERE sp.status = 'pending' AND sp.scheduled_at <= NOW()`
-    );
+// Check scheduled posts every minute
+setInterval(() => checkScheduledCarouselPosts(pool), 60000);
 
-    for (const post of result.rows) {
-      if (!post.ig_access_token || !post.ig_user_id) {
-        await pool.query(`UPDATE ig_scheduled_posts SET status = 'failed', error_message = 'Instagram not connected' WHERE id = $1`, [post.id]);
-        continue;
-      }
+// =====================
+// INSTAGRAM PUBLISH JOBS
+// =====================
+// Jobs start as soon as they are queued; the poll picks up missed ones and resumes jobs of a crashed worker
+setInterval(() => checkPublishJobs(pool), 30000);
 
-      console.log(`📸 Publishing scheduled carousel ${post.carousel_id}...`);
-      // TODO: Call Instagram publish function
-    }
-  } catch (error) { console.error('Scheduled post check error:', error); }
-}
+// =====================
+// CONTENT SOURCE POLLER
+// =====================
+// Every 5 minutes; each source is fetched once its fetch_interval_minutes has passed
+setInterval(() => checkContentSources(pool), 5 * 60000);
 
-// Check scheduled posts every minute
-setInterval(checkScheduledCarouselPosts, 60000);
+// =====================
+// INSTAGRAM TOKEN REFRESH
+// =====================
+// Hourly: refresh long-lived tokens before they expire and alert on expiring/expired/disconnected ones
+setInterval(() => checkInstagramTokens(pool), 60 * 60000);
+
+// =====================
+// INSTAGRAM INSIGHTS SYNC
+// =====================
+// Hourly; each published carousel gets a new ig_analytics snapshot every IG_INSIGHTS_SYNC_HOURS
+setInterval(() => syncInstagramInsights(pool), 60 * 60000);
 
 // =====================
 // CRON JOB - Auto Video Scanner
@@ -660,7 +822,8 @@ app.get('/', (req, res) => res.json({
   status: 'ok',
   message: 'Atasa Blog API - Instagram Carousel SaaS',
   version: '2.0.0',
-  features: ['blog', 'youtube', 'carousel', 'instagram-publish', 'multi-tenant']
+  features: ['blog', 'youtube', 'carousel', 'instagram-publish', 'multi-tenant'],
+  renderPool: getBrowserPoolStats()
 }));
 
 // ===================== AUTH =====================
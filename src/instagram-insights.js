@@ -0,0 +1,262 @@
+// Instagram Insights → ig_analytics
+// Published carousels are synced periodically; every sync stores a timestamped snapshot of
+// the post's cumulative numbers, so weekly gains are the difference between two snapshots.
+
+import { getMediaInsights, markTokenInvalid, isPermissionError, INVALID_TOKEN_ERROR_CODE } from './instagram-publisher.js';
+import { decryptToken } from './token-crypto.js';
+
+const METRICS = ['impressions', 'reach', 'likes', 'comments', 'saves', 'shares'];
+
+// A carousel gets a new snapshot once its last one is this old
+const SYNC_INTERVAL_HOURS = parseInt(process.env.IG_INSIGHTS_SYNC_HOURS || '6');
+// Posts older than this are no longer synced (their numbers barely change)
+const MAX_POST_AGE_DAYS = parseInt(process.env.IG_INSIGHTS_MAX_AGE_DAYS || '90');
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+let isRunning = false;
+
+// likes + comments + saves + shares
+function withEngagement(metrics) {
+  return { ...metrics, engagement: metrics.likes + metrics.comments + metrics.saves + metrics.shares };
+}
+
+function subtractMetrics(a, b) {
+  return Object.fromEntries(Object.keys(a).map(key => [key, a[key] - b[key]]));
+}
+
+/**
+ * Flag a tenant whose token lacks the Insights permission; the sync skips it until the
+ * tenant reconnects, and /api/instagram/status reports needsReconnect
+ */
+async function markInsightsPermissionMissing(pool, tenantId, message) {
+  await pool.query(
+    `UPDATE ig_tenants SET ig_insights_permission_error = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+    [message, tenantId]
+  );
+}
+
+/**
+ * Fetch a published carousel's Insights and store a snapshot
+ * @param {object} pool - pg Pool
+ * @param {object} carousel - carousel_posts row (id, tenant_id, ig_media_id) joined with the tenant's ig_access_token
+ * @returns {Promise<object>} - Inserted ig_analytics row
+ */
+export async function syncCarouselInsights(pool, carousel) {
+  try {
+    const metrics = await getMediaInsights(decryptToken(carousel.ig_access_token), carousel.ig_media_id);
+    const result = await pool.query(
+      `INSERT INTO ig_analytics (tenant_id, carousel_id, ig_media_id, impressions, reach, likes, comments, saves, shares)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+      [carousel.tenant_id, carousel.id, carousel.ig_media_id, ...METRICS.map(metric => metrics[metric])]
+    );
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === INVALID_TOKEN_ERROR_CODE) await markTokenInvalid(pool, carousel.tenant_id, error.message);
+    else if (isPermissionError(error)) await markInsightsPermissionMissing(pool, carousel.tenant_id, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Snapshot every recently published carousel whose last snapshot is older than SYNC_INTERVAL_HOURS
+ * @param {object} pool - pg Pool
+ */
+export async function syncInstagramInsights(pool) {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const result = await pool.query(
+      `SELECT c.id, c.tenant_id, c.ig_media_id, t.ig_access_token
+       FROM carousel_posts c JOIN ig_tenants t ON t.id = c.tenant_id
+       WHERE c.status = 'published' AND c.ig_media_id IS NOT NULL
+         AND c.published_at > NOW() - make_interval(days => $1)
+         AND t.is_active = TRUE AND t.ig_access_token IS NOT NULL AND t.ig_token_invalid IS NOT TRUE
+         AND t.ig_insights_permission_error IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM ig_analytics a
+           WHERE a.carousel_id = c.id AND a.fetched_at > NOW() - make_interval(hours => $2)
+         )
+       ORDER BY c.published_at DESC`,
+      [MAX_POST_AGE_DAYS, SYNC_INTERVAL_HOURS]
+    );
+
+    // Tenants flagged during this run (invalid token or missing permission)
+    const invalidTenants = new Set();
+    let synced = 0;
+    for (const carousel of result.rows) {
+      if (invalidTenants.has(carousel.tenant_id)) continue;
+      try {
+        await syncCarouselInsights(pool, carousel);
+        synced++;
+      } catch (error) {
+        console.error(`❌ Insights sync failed for carousel ${carousel.id}:`, error.message);
+        // The tenant is now flagged; skip its other posts
+        if (error.code === INVALID_TOKEN_ERROR_CODE || isPermissionError(error)) invalidTenants.add(carousel.tenant_id);
+      }
+    }
+
+    if (synced > 0) console.log(`📊 Instagram Insights synced for ${synced} carousels`);
+  } catch (error) {
+    console.error('Instagram Insights sync error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Sum of each carousel's latest snapshot taken at or before a point in time
+ * @param {object} pool - pg Pool
+ * @param {string} column - tenant_id | carousel_id
+ * @param {number|string} id - Tenant or carousel ID
+ * @param {Date} at - Point in time
+ * @returns {Promise<object>} - { impressions, reach, likes, comments, saves, shares, engagement }
+ */
+async function getTotalsAt(pool, column, id, at) {
+  const result = await pool.query(
+    `SELECT ${METRICS.map(metric => `COALESCE(SUM(${metric}), 0)::int AS ${metric}`).join(', ')}
+     FROM (
+       SELECT DISTINCT ON (carousel_id) * FROM ig_analytics
+       WHERE ${column === 'carousel_id' ? 'carousel_id' : 'tenant_id'} = $1 AND fetched_at <= $2
+       ORDER BY carousel_id, fetched_at DESC
+     ) latest`,
+    [id, at]
+  );
+  return withEngagement(result.rows[0]);
+}
+
+/**
+ * Numbers gained in the last 7 days against the 7 days before, from snapshot differences
+ * @returns {Promise<object>} - { current, previous, changePercent } (changePercent null when previous is 0)
+ */
+async function getWeekOverWeek(pool, column, id) {
+  const now = new Date();
+  const [latest, weekAgo, twoWeeksAgo] = await Promise.all([
+    getTotalsAt(pool, column, id, now),
+    getTotalsAt(pool, column, id, new Date(now.getTime() - WEEK_MS)),
+    getTotalsAt(pool, column, id, new Date(now.getTime() - 2 * WEEK_MS))
+  ]);
+
+  const current = subtractMetrics(latest, weekAgo);
+  const previous = subtractMetrics(weekAgo, twoWeeksAgo);
+  const changePercent = Object.fromEntries(Object.keys(current).map(key => [
+    key,
+    previous[key] ? Math.round(((current[key] - previous[key]) / previous[key]) * 1000) / 10 : null
+  ]));
+
+  return { current, previous, changePercent };
+}
+
+/**
+ * Engagement per news category: each carousel's latest numbers count for every category it covered
+ * @param {Array} carousels - Latest snapshot rows with raw_news
+ * @returns {Array} - [{ name, carousels, reach, engagement, avgReach, avgEngagement }] best first
+ */
+function getCategoryEngagement(carousels) {
+  const categories = new Map();
+
+  for (const carousel of carousels) {
+    const rawNews = typeof carousel.raw_news === 'string' ? JSON.parse(carousel.raw_news) : carousel.raw_news;
+    for (const name of new Set((rawNews?.categories || []).map(cat => cat.name))) {
+      const entry = categories.get(name) || { name, carousels: 0, reach: 0, engagement: 0 };
+      entry.carousels++;
+      entry.reach += carousel.reach;
+      entry.engagement += carousel.engagement;
+      categories.set(name, entry);
+    }
+  }
+
+  return [...categories.values()]
+    .map(entry => ({
+      ...entry,
+      avgReach: Math.round(entry.reach / entry.carousels),
+      avgEngagement: Math.round((entry.engagement / entry.carousels) * 10) / 10
+    }))
+    .sort((a, b) => b.avgEngagement - a.avgEngagement);
+}
+
+/**
+ * Setup Express routes for Instagram analytics
+ */
+export function setupAnalyticsRoutes(app, pool) {
+
+  // Tenant overview: latest totals, week-over-week gains, per-category engagement and per-carousel numbers
+  app.get('/api/analytics/tenant/:tenantId', async (req, res) => {
+    try {
+      const { tenantId } = req.params;
+      const tenantResult = await pool.query('SELECT id FROM ig_tenants WHERE id = $1', [tenantId]);
+      if (tenantResult.rows.length === 0) return res.status(404).json({ error: 'Tenant not found' });
+
+      const latest = await pool.query(
+        `SELECT DISTINCT ON (a.carousel_id) a.carousel_id, ${METRICS.map(metric => `a.${metric}`).join(', ')}, a.fetched_at,
+                c.title, c.published_at, c.ig_media_id, c.raw_news
+         FROM ig_analytics a JOIN carousel_posts c ON c.id = a.carousel_id
+         WHERE a.tenant_id = $1
+         ORDER BY a.carousel_id, a.fetched_at DESC`,
+        [tenantId]
+      );
+      const carousels = latest.rows.map(withEngagement);
+
+      res.json({
+        tenantId: Number(tenantId),
+        totals: await getTotalsAt(pool, 'tenant_id', tenantId, new Date()),
+        weekOverWeek: await getWeekOverWeek(pool, 'tenant_id', tenantId),
+        categories: getCategoryEngagement(carousels),
+        carousels: carousels
+          .map(({ raw_news, ...carousel }) => carousel)
+          .sort((a, b) => new Date(b.published_at) - new Date(a.published_at))
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // One carousel: latest numbers, week-over-week gains and the snapshot history
+  app.get('/api/analytics/carousel/:carouselId', async (req, res) => {
+    try {
+      const { carouselId } = req.params;
+      const carouselResult = await pool.query('SELECT id FROM carousel_posts WHERE id = $1', [carouselId]);
+      if (carouselResult.rows.length === 0) return res.status(404).json({ error: 'Carousel not found' });
+
+      const snapshots = await pool.query(
+        `SELECT ${METRICS.join(', ')}, fetched_at FROM ig_analytics WHERE carousel_id = $1 ORDER BY fetched_at`,
+        [carouselId]
+      );
+
+      res.json({
+        carouselId: Number(carouselId),
+        latest: snapshots.rows.length > 0 ? withEngagement(snapshots.rows[snapshots.rows.length - 1]) : null,
+        weekOverWeek: await getWeekOverWeek(pool, 'carousel_id', carouselId),
+        snapshots: snapshots.rows.map(withEngagement)
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Take a snapshot now
+  app.post('/api/analytics/carousel/:carouselId/sync', async (req, res) => {
+    try {
+      const carouselResult = await pool.query(
+        `SELECT c.id, c.tenant_id, c.ig_media_id, t.ig_access_token
+         FROM carousel_posts c LEFT JOIN ig_tenants t ON t.id = c.tenant_id
+         WHERE c.id = $1`,
+        [req.params.carouselId]
+      );
+      if (carouselResult.rows.length === 0) return res.status(404).json({ error: 'Carousel not found' });
+
+      const carousel = carouselResult.rows[0];
+      if (!carousel.ig_media_id) return res.status(400).json({ error: 'Carousel is not published to Instagram' });
+      if (!carousel.ig_access_token) return res.status(400).json({ error: 'Instagram not connected for this tenant' });
+
+      try {
+        const { ig_media_id, tenant_id, ...snapshot } = await syncCarouselInsights(pool, carousel);
+        res.json({ success: true, snapshot: withEngagement(snapshot) });
+      } catch (error) {
+        res.status(502).json({ error: error.message });
+      }
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
@@ -1,7 +1,84 @@
 // Instagram Graph API Publisher for Carousel Posts
 // Supports multi-tenant architecture for SaaS
 
+import crypto from 'crypto';
+import { getMessages } from './i18n.js';
+import { encryptToken, decryptToken } from './token-crypto.js';
+
 const INSTAGRAM_GRAPH_API = 'https://graph.facebook.com/v18.0';
+const FACEBOOK_OAUTH_DIALOG = 'https://www.facebook.com/v18.0/dialog/oauth';
+
+// Facebook Login permissions for publishing to an IG business account linked to a Page
+// and reading its post insights
+const OAUTH_SCOPES = ['instagram_basic', 'instagram_content_publish', 'instagram_manage_insights', 'pages_show_list', 'pages_read_engagement'];
+
+// An OAuth state is only accepted this long after the auth URL was created
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+
+// Graph API error codes that Meta documents as temporary (rate limits, service hiccups)
+const TRANSIENT_ERROR_CODES = [1, 2, 4, 17, 32, 341, 613];
+
+// OAuthException: the access token expired, was revoked or the password changed
+export const INVALID_TOKEN_ERROR_CODE = 190;
+
+/**
+ * Graph API permission errors (#10, #200-#299): the token is valid but lacks a permission the call
+ * needs, e.g. instagram_manage_insights for tenants connected before it was requested.
+ * Retrying doesn't help; only reconnecting with the current OAUTH_SCOPES does.
+ */
+export function isPermissionError(error) {
+  return error.code === 10 || (error.code >= 200 && error.code <= 299);
+}
+
+// Tokens expiring within this many days are flagged (and alerted) as 'expiring'
+export const TOKEN_EXPIRY_ALERT_DAYS = parseInt(process.env.IG_TOKEN_ALERT_DAYS || '7');
+
+/**
+ * Call the Graph API, retrying transient failures with exponential backoff.
+ * GETs are retried on any transient failure. Other methods are only retried when the Graph API
+ * answered with a transient error code (the request was rejected); after a network error or a
+ * bare 5xx the request may have been applied, so it is thrown with isTransient for the caller.
+ * @param {string} url - Full Graph API URL (including query params)
+ * @param {object} options - fetch options
+ * @param {string} errorPrefix - Prefix for thrown error messages
+ * @param {number} maxRetries - Retries after the first attempt
+ * @param {number} baseDelayMs - Delay before the first retry, doubled each time
+ * @returns {Promise<object>} - Parsed JSON response
+ */
+export async function graphRequest(url, options = {}, errorPrefix = 'Instagram API Error', maxRetries = 3, baseDelayMs = 1000) {
+  const isIdempotent = !options.method || options.method === 'GET';
+  
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    let rejected = false;
+    
+    try {
+      const response = await fetch(url, options);
+      const data = await response.json();
+      
+      if (!data.error) {
+        return data;
+      }
+      
+      error = new Error(`${errorPrefix}: ${data.error.message}`);
+      error.code = data.error.code;
+      rejected = data.error.is_transient === true || TRANSIENT_ERROR_CODES.includes(data.error.code);
+      error.isTransient = rejected || response.status >= 500;
+    } catch (fetchError) {
+      // Network failures and non-JSON gateway responses are worth retrying
+      error = fetchError;
+      error.isTransient = true;
+    }
+    
+    if (!error.isTransient || (!isIdempotent && !rejected) || attempt >= maxRetries) {
+      throw error;
+    }
+    
+    const delayMs = baseDelayMs * 2 ** attempt;
+    console.log(`  ↻ Graph API transient error, retrying in ${delayMs}ms: ${error.message}`);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+}
 
 /**
  * Upload a single image to Instagram container
@@ -21,15 +98,7 @@ export async function createMediaContainer(accessToken, igUserId, imageUrl, capt
     params.append('caption', caption);
   }
   
-  const response = await fetch(`${INSTAGRAM_GRAPH_API}/${igUserId}/media?${params}`, {
-    method: 'POST'
-  });
-  
-  const data = await response.json();
-  
-  if (data.error) {
-    throw new Error(`Instagram API Error: ${data.error.message}`);
-  }
+  const data = await graphRequest(`${INSTAGRAM_GRAPH_API}/${igUserId}/media?${params}`, { method: 'POST' });
   
   return data.id;
 }
@@ -50,43 +119,67 @@ export async function createCarouselContainer(accessToken, igUserId, childContai
     access_token: accessToken
   });
   
-  const response = await fetch(`${INSTAGRAM_GRAPH_API}/${igUserId}/media?${params}`, {
-    method: 'POST'
-  });
+  const data = await graphRequest(`${INSTAGRAM_GRAPH_API}/${igUserId}/media?${params}`, { method: 'POST' });
   
-  const data = await response.json();
+  return data.id;
+}
+
+/**
+ * Find the media a container was published as. Containers don't link to their media,
+ * so the account's recent media are matched by caption.
+ * @param {string} accessToken - Facebook/Instagram access token
+ * @param {string} igUserId - Instagram Business Account ID
+ * @param {string} caption - Caption the container was created with
+ * @returns {Promise<string|null>} - Media ID, null if no recent media matches
+ */
+export async function findPublishedMediaId(accessToken, igUserId, caption) {
+  if (!caption) return null;
   
-  if (data.error) {
-    throw new Error(`Instagram API Error: ${data.error.message}`);
-  }
+  const params = new URLSearchParams({
+    fields: 'id,caption',
+    limit: '25',
+    access_token: accessToken
+  });
   
-  return data.id;
+  const data = await graphRequest(`${INSTAGRAM_GRAPH_API}/${igUserId}/media?${params}`);
+  
+  return (data.data || []).find(media => media.caption === caption)?.id || null;
 }
 
 /**
- * Publish a media container (single image or carousel)
+ * Publish a media container (single image or carousel) at most once.
+ * The container's status_code is checked before every attempt: a container that is already
+ * PUBLISHED (earlier attempt timed out after Instagram accepted it, or a resumed job) is not
+ * published again; its media is looked up instead.
  * @param {string} accessToken - Facebook/Instagram access token
  * @param {string} igUserId - Instagram Business Account ID
  * @param {string} containerId - Container ID to publish
- * @returns {Promise<string>} - Published media ID
+ * @param {string} caption - Caption of the container, used to find already published media
+ * @param {number} maxRetries - Retries after a failure that may not have been applied
+ * @returns {Promise<string|null>} - Published media ID (null if published earlier and not found)
  */
-export async function publishContainer(accessToken, igUserId, containerId) {
+export async function publishContainer(accessToken, igUserId, containerId, caption = null, maxRetries = 3) {
   const params = new URLSearchParams({
     creation_id: containerId,
     access_token: accessToken
   });
   
-  const response = await fetch(`${INSTAGRAM_GRAPH_API}/${igUserId}/media_publish?${params}`, {
-    method: 'POST'
-  });
-  
-  const data = await response.json();
-  
-  if (data.error) {
-    throw new Error(`Instagram API Error: ${data.error.message}`);
+  for (let attempt = 0; ; attempt++) {
+    const status = await checkContainerStatus(accessToken, containerId);
+    if (status.status_code === 'PUBLISHED') {
+      console.log(`  ↻ Container ${containerId} is already published`);
+      return await findPublishedMediaId(accessToken, igUserId, caption);
+    }
+    
+    try {
+      const data = await graphRequest(`${INSTAGRAM_GRAPH_API}/${igUserId}/media_publish?${params}`, { method: 'POST' });
+      return data.id;
+    } catch (error) {
+      if (!error.isTransient || attempt >= maxRetries) throw error;
+      console.log(`  ↻ media_publish failed, checking the container before retrying: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+    }
   }
-  
-  return data.id;
 }
 
 /**
@@ -101,12 +194,7 @@ export async function checkContainerStatus(accessToken, containerId) {
     access_token: accessToken
   });
   
-  const response = await fetch(`${INSTAGRAM_GRAPH_API}/${containerId}?${params}`);
-  const data = await response.json();
-  
-  if (data.error) {
-    throw new Error(`Instagram API Error: ${data.error.message}`);
-  }
+  const data = await graphRequest(`${INSTAGRAM_GRAPH_API}/${containerId}?${params}`);
   
   return data;
 }
@@ -123,7 +211,8 @@ export async function waitForContainerReady(accessToken, containerId, maxAttempt
   for (let i = 0; i < maxAttempts; i++) {
     const status = await checkContainerStatus(accessToken, containerId);
     
-    if (status.status_code === 'FINISHED') {
+    // PUBLISHED: nothing left to wait for (a resumed publish finds the post in publishContainer)
+    if (status.status_code === 'FINISHED' || status.status_code === 'PUBLISHED') {
       return true;
     }
     
@@ -185,7 +274,7 @@ export async function publishCarousel({ accessToken, igUserId, imageUrls, captio
   
   // Step 5: Publish the carousel
   console.log('🚀 Publishing carousel...');
-  const mediaId = await publishContainer(accessToken, igUserId, carouselContainerId);
+  const mediaId = await publishContainer(accessToken, igUserId, carouselContainerId, caption);
   
   console.log(`✅ Carousel published! Media ID: ${mediaId}`);
   
@@ -210,12 +299,7 @@ export async function getInstagramAccountId(accessToken, pageId) {
     access_token: accessToken
   });
   
-  const response = await fetch(`${INSTAGRAM_GRAPH_API}/${pageId}?${params}`);
-  const data = await response.json();
-  
-  if (data.error) {
-    throw new Error(`Facebook API Error: ${data.error.message}`);
-  }
+  const data = await graphRequest(`${INSTAGRAM_GRAPH_API}/${pageId}?${params}`, {}, 'Facebook API Error');
   
   if (!data.instagram_business_account) {
     throw new Error('No Instagram Business Account linked to this Facebook Page');
@@ -224,6 +308,41 @@ export async function getInstagramAccountId(accessToken, pageId) {
   return data.instagram_business_account.id;
 }
 
+/**
+ * Get engagement numbers of a published post: impressions, reach, saves and shares from
+ * Insights, likes and comments from the media object
+ * @param {string} accessToken - Facebook/Instagram access token
+ * @param {string} mediaId - Published Instagram media ID
+ * @returns {Promise<object>} - { impressions, reach, likes, comments, saves, shares }
+ */
+export async function getMediaInsights(accessToken, mediaId) {
+  const mediaParams = new URLSearchParams({
+    fields: 'like_count,comments_count',
+    access_token: accessToken
+  });
+  const insightParams = new URLSearchParams({
+    metric: 'impressions,reach,saved,shares',
+    access_token: accessToken
+  });
+  
+  const media = await graphRequest(`${INSTAGRAM_GRAPH_API}/${mediaId}?${mediaParams}`);
+  const insights = await graphRequest(`${INSTAGRAM_GRAPH_API}/${mediaId}/insights?${insightParams}`);
+  
+  const metric = (name) => {
+    const entry = (insights.data || []).find(m => m.name === name);
+    return entry?.values?.[0]?.value ?? entry?.total_value?.value ?? 0;
+  };
+  
+  return {
+    impressions: metric('impressions'),
+    reach: metric('reach'),
+    likes: media.like_count || 0,
+    comments: media.comments_count || 0,
+    saves: metric('saved'),
+    shares: metric('shares')
+  };
+}
+
 /**
  * Get user's Facebook Pages
  * @param {string} accessToken - Facebook access token
@@ -235,16 +354,29 @@ export async function getUserPages(accessToken) {
     access_token: accessToken
   });
   
-  const response = await fetch(`${INSTAGRAM_GRAPH_API}/me/accounts?${params}`);
-  const data = await response.json();
-  
-  if (data.error) {
-    throw new Error(`Facebook API Error: ${data.error.message}`);
-  }
+  const data = await graphRequest(`${INSTAGRAM_GRAPH_API}/me/accounts?${params}`, {}, 'Facebook API Error');
   
   return data.data || [];
 }
 
+/**
+ * Exchange an OAuth authorization code for a (short-lived) user access token
+ * @param {string} code - Code from the OAuth callback
+ * @returns {Promise<string>} - Access token
+ */
+export async function exchangeCodeForToken(code) {
+  const params = new URLSearchParams({
+    client_id: process.env.INSTAGRAM_APP_ID,
+    client_secret: process.env.INSTAGRAM_APP_SECRET,
+    redirect_uri: getOAuthRedirectUri(),
+    code
+  });
+  
+  const data = await graphRequest(`${INSTAGRAM_GRAPH_API}/oauth/access_token?${params}`, {}, 'Facebook API Error');
+  
+  return data.access_token;
+}
+
 /**
  * Exchange short-lived token for long-lived token
  * @param {string} appId - Facebook App ID
@@ -260,12 +392,7 @@ export async function exchangeForLongLivedToken(appId, appSecret, shortLivedToke
     fb_exchange_token: shortLivedToken
   });
   
-  const response = await fetch(`${INSTAGRAM_GRAPH_API}/oauth/access_token?${params}`);
-  const data = await response.json();
-  
-  if (data.error) {
-    throw new Error(`Facebook API Error: ${data.error.message}`);
-  }
+  const data = await graphRequest(`${INSTAGRAM_GRAPH_API}/oauth/access_token?${params}`, {}, 'Facebook API Error');
   
   return {
     accessToken: data.access_token,
@@ -273,153 +400,301 @@ export async function exchangeForLongLivedToken(appId, appSecret, shortLivedToke
   };
 }
 
+/**
+ * Revoke the app's permissions for the user behind a token (the token stops working)
+ * @param {string} accessToken - Facebook user access token
+ */
+export async function revokeAccessToken(accessToken) {
+  const params = new URLSearchParams({ access_token: accessToken });
+  
+  await graphRequest(`${INSTAGRAM_GRAPH_API}/me/permissions?${params}`, { method: 'DELETE' }, 'Facebook API Error');
+}
+
+function getOAuthRedirectUri() {
+  return `${process.env.API_BASE_URL}/api/instagram/callback`;
+}
+
+function signOAuthPayload(payload) {
+  const secret = process.env.OAUTH_STATE_SECRET || process.env.INSTAGRAM_APP_SECRET;
+  if (!secret) throw new Error('OAUTH_STATE_SECRET (or INSTAGRAM_APP_SECRET) is not set');
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Signed, expiring OAuth state for a tenant: base64url(JSON { tenantId, exp, nonce }).signature
+ * @param {number|string} tenantId - Tenant starting the connection
+ * @returns {string} - State parameter for the auth URL
+ */
+export function createOAuthState(tenantId) {
+  const payload = Buffer.from(JSON.stringify({
+    tenantId: String(tenantId),
+    exp: Math.floor(Date.now() / 1000) + OAUTH_STATE_TTL_SECONDS,
+    nonce: crypto.randomBytes(8).toString('hex')
+  })).toString('base64url');
+  
+  return `${payload}.${signOAuthPayload(payload)}`;
+}
+
+/**
+ * Check an OAuth state's signature and expiry
+ * @param {string} state - State returned to the callback
+ * @returns {string|null} - Tenant ID, null if the state is forged, malformed or expired
+ */
+export function verifyOAuthState(state) {
+  const [payload, signature] = String(state || '').split('.');
+  if (!payload || !signature) return null;
+  
+  const expected = Buffer.from(signOAuthPayload(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+  
+  try {
+    const { tenantId, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!tenantId || !exp || exp < Date.now() / 1000) return null;
+    return tenantId;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Bind one of the user's Facebook Pages (and its linked IG business account) to a tenant
+ * @param {object} pool - pg Pool
+ * @param {number|string} tenantId - Tenant ID
+ * @param {string} accessToken - Long-lived user access token
+ * @param {string} pageId - Chosen Facebook Page ID
+ * @returns {Promise<object|null>} - { fb_page_id, fb_page_name, ig_user_id, ig_username }, null if the page is not the user's
+ */
+export async function bindFacebookPage(pool, tenantId, accessToken, pageId) {
+  const pages = await getUserPages(accessToken);
+  const page = pages.find(p => p.id === String(pageId));
+  if (!page) return null;
+  
+  const igUserId = page.instagram_business_account?.id || await getInstagramAccountId(accessToken, page.id);
+  
+  const result = await pool.query(
+    `UPDATE ig_tenants SET
+      fb_page_id = $1,
+      fb_page_name = $2,
+      ig_user_id = $3,
+      ig_username = $4,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $5
+    RETURNING fb_page_id, fb_page_name, ig_user_id, ig_username`,
+    [page.id, page.name, igUserId, page.instagram_business_account?.username || null, tenantId]
+  );
+  
+  return result.rows[0];
+}
+
+/**
+ * Health of a tenant's Instagram token
+ * status: not_connected | disconnected (Graph API rejected the token) | expired | expiring | ok
+ * A token missing the Insights permission keeps its status but also needs a reconnect.
+ * @param {object} tenant - ig_tenants row
+ * @returns {object} - { status, needsReconnect, expiresAt, daysLeft, lastRefreshedAt, refreshError, insightsPermissionError }
+ */
+export function getTokenHealth(tenant) {
+  const expiresAt = tenant.ig_token_expires_at ? new Date(tenant.ig_token_expires_at) : null;
+  const daysLeft = expiresAt ? Math.floor((expiresAt.getTime() - Date.now()) / (24 * 60 * 60 * 1000)) : null;
+
+  let status = 'ok';
+  if (!tenant.ig_access_token || !tenant.ig_user_id) status = 'not_connected';
+  else if (tenant.ig_token_invalid) status = 'disconnected';
+  else if (expiresAt && expiresAt <= new Date()) status = 'expired';
+  else if (daysLeft !== null && daysLeft < TOKEN_EXPIRY_ALERT_DAYS) status = 'expiring';
+
+  return {
+    status,
+    needsReconnect: ['not_connected', 'disconnected', 'expired'].includes(status) || !!tenant.ig_insights_permission_error,
+    expiresAt,
+    daysLeft,
+    lastRefreshedAt: tenant.ig_token_refreshed_at || null,
+    refreshError: tenant.ig_token_refresh_error || null,
+    insightsPermissionError: tenant.ig_insights_permission_error || null
+  };
+}
+
+/**
+ * Flag a tenant whose token the Graph API rejected, so status/alerts ask for a reconnect
+ */
+export async function markTokenInvalid(pool, tenantId, message) {
+  await pool.query(
+    `UPDATE ig_tenants SET ig_token_invalid = TRUE, ig_token_refresh_error = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+    [message, tenantId]
+  );
+}
+
 /**
  * Setup Express routes for Instagram publishing
  */
 export function setupInstagramRoutes(app, pool) {
   
-  // Publish carousel to Instagram
-  app.post('/api/instagram/publish/:carouselId', async (req, res) => {
+  // Connect Instagram account (OAuth callback)
+  // The long-lived user token is stored right away. The previously bound Page (or the only
+  // Page with an IG business account) is bound directly; otherwise the user picks one via /pages.
+  app.get('/api/instagram/callback', async (req, res) => {
     try {
-      const { carouselId } = req.params;
-      const { tenantId } = req.body;
-      
-      // Get tenant credentials
-      const tenantResult = await pool.query(
-        'SELECT * FROM ig_tenants WHERE id = $1',
-        [tenantId]
-      );
+      const { code, state, error_description } = req.query;
       
-      if (tenantResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Tenant not found' });
+      const tenantId = verifyOAuthState(state);
+      if (!tenantId) {
+        throw new Error('Invalid or expired OAuth state');
       }
       
-      const tenant = tenantResult.rows[0];
-      
-      if (!tenant.ig_access_token || !tenant.ig_user_id) {
-        return res.status(400).json({ error: 'Instagram not connected for this tenant' });
+      if (!code) {
+        throw new Error(error_description || 'Authorization was cancelled');
       }
       
-      // Get carousel data
-      const carouselResult = await pool.query(
-        'SELECT * FROM carousel_posts WHERE id = $1 AND tenant_id = $2',
-        [carouselId, tenantId]
+      // Exchange code for a long-lived user token
+      const shortLivedToken = await exchangeCodeForToken(code);
+      const longLivedToken = await exchangeForLongLivedToken(
+        process.env.INSTAGRAM_APP_ID,
+        process.env.INSTAGRAM_APP_SECRET,
+        shortLivedToken
       );
       
-      if (carouselResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Carousel not found' });
+      const tenantResult = await pool.query('SELECT fb_page_id FROM ig_tenants WHERE id = $1', [tenantId]);
+      if (tenantResult.rows.length === 0) {
+        throw new Error('Tenant not found');
       }
       
-      const carousel = carouselResult.rows[0];
-      
-      // Get image URLs (these need to be publicly accessible)
-      // In production, you'd upload to S3/Cloudinary first
-      const baseUrl = process.env.API_BASE_URL || 'https://atasa-blog-api-production-22a4.up.railway.app';
-      const slides = typeof carousel.slides === 'string' ? JSON.parse(carousel.slides) : carousel.slides;
-      
-      const imageUrls = slides.map((_, index) => 
-        `${baseUrl}/api/carousel/${carouselId}/render/${index + 1}`
+      // Store the token (encrypted); page/account binding happens below or through the page picker
+      await pool.query(
+        `UPDATE ig_tenants SET 
+          ig_access_token = $1,
+          ig_token_expires_at = NOW() + make_interval(secs => $2),
+          ig_token_refreshed_at = CURRENT_TIMESTAMP,
+          ig_token_refresh_error = NULL,
+          ig_token_invalid = FALSE,
+          ig_token_alert_status = NULL,
+          ig_insights_permission_error = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3`,
+        [encryptToken(longLivedToken.accessToken), longLivedToken.expiresIn || 60 * 24 * 60 * 60, tenantId]
       );
       
-      // Build caption
-      const caption = buildInstagramCaption(carousel, tenant);
-      
-      // Publish to Instagram
-      const result = await publishCarousel({
-        accessToken: tenant.ig_access_token,
-        igUserId: tenant.ig_user_id,
-        imageUrls,
-        caption
-      });
+      const pages = (await getUserPages(longLivedToken.accessToken)).filter(page => page.instagram_business_account);
+      const page = pages.find(p => p.id === tenantResult.rows[0].fb_page_id) || (pages.length === 1 ? pages[0] : null);
+      if (page) {
+        await bindFacebookPage(pool, tenantId, longLivedToken.accessToken, page.id);
+        return res.redirect(`${process.env.FRONTEND_URL}/settings/instagram?success=true`);
+      }
       
-      // Update carousel status
+      // The old binding may belong to another Facebook user; clear it until a Page is picked
       await pool.query(
-        `UPDATE carousel_posts SET 
-          status = 'published', 
-          published_at = CURRENT_TIMESTAMP,
-          ig_media_id = $1
-        WHERE id = $2`,
-        [result.mediaId, carouselId]
+        `UPDATE ig_tenants SET ig_user_id = NULL, ig_username = NULL, fb_page_id = NULL, fb_page_name = NULL WHERE id = $1`,
+        [tenantId]
       );
+      res.redirect(`${process.env.FRONTEND_URL}/settings/instagram?select_page=true`);
       
-      res.json({
-        success: true,
-        mediaId: result.mediaId,
-        message: 'Carousel published to Instagram successfully!'
-      });
+    } catch (error) {
+      console.error('Instagram callback error:', error);
+      res.redirect(`${process.env.FRONTEND_URL}/settings/instagram?error=${encodeURIComponent(error.message)}`);
+    }
+  });
+  
+  // List the connected user's Facebook Pages with their linked IG business accounts
+  app.get('/api/instagram/pages/:tenantId', async (req, res) => {
+    try {
+      const result = await pool.query('SELECT ig_access_token, fb_page_id FROM ig_tenants WHERE id = $1', [req.params.tenantId]);
+      if (result.rows.length === 0) return res.status(404).json({ error: 'Tenant not found' });
       
+      const tenant = result.rows[0];
+      if (!tenant.ig_access_token) return res.status(400).json({ error: 'Connect with Facebook first' });
+      
+      const pages = await getUserPages(decryptToken(tenant.ig_access_token));
+      res.json(pages.map(page => ({
+        id: page.id,
+        name: page.name,
+        instagramAccount: page.instagram_business_account
+          ? { id: page.instagram_business_account.id, username: page.instagram_business_account.username || null }
+          : null,
+        selected: page.id === tenant.fb_page_id
+      })));
     } catch (error) {
-      console.error('Instagram publish error:', error);
       res.status(500).json({ error: error.message });
     }
   });
   
-  // Connect Instagram account (OAuth callback)
-  app.get('/api/instagram/callback', async (req, res) => {
+  // Bind the chosen Page (body: pageId) and its IG business account to the tenant
+  app.post('/api/instagram/pages/:tenantId', async (req, res) => {
     try {
-      const { code, state } = req.query;
-      const tenantId = state; // We pass tenant ID in state parameter
+      const { pageId } = req.body;
+      if (!pageId) return res.status(400).json({ error: 'pageId required' });
       
-      // Exchange code for access token
-      const tokenResponse = await fetch('https://api.instagram.com/oauth/access_token', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({
-          client_id: process.env.INSTAGRAM_APP_ID,
-          client_secret: process.env.INSTAGRAM_APP_SECRET,
-          grant_type: 'authorization_code',
-          redirect_uri: `${process.env.API_BASE_URL}/api/instagram/callback`,
-          code
-        })
-      });
+      const result = await pool.query('SELECT ig_access_token FROM ig_tenants WHERE id = $1', [req.params.tenantId]);
+      if (result.rows.length === 0) return res.status(404).json({ error: 'Tenant not found' });
+      if (!result.rows[0].ig_access_token) return res.status(400).json({ error: 'Connect with Facebook first' });
       
-      const tokenData = await tokenResponse.json();
+      const account = await bindFacebookPage(pool, req.params.tenantId, decryptToken(result.rows[0].ig_access_token), pageId);
+      if (!account) return res.status(404).json({ error: 'Page not found' });
       
-      if (tokenData.error) {
-        throw new Error(tokenData.error_message);
-      }
+      res.json({ success: true, account });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  // Disconnect: revoke the token at Facebook and clear the stored credentials and binding.
+  // A failed revoke (e.g. the token is already invalid) is reported but still clears the tenant.
+  app.delete('/api/instagram/connection/:tenantId', async (req, res) => {
+    try {
+      const { tenantId } = req.params;
       
-      // Exchange for long-lived token
-      const longLivedToken = await exchangeForLongLivedToken(
-        process.env.INSTAGRAM_APP_ID,
-        process.env.INSTAGRAM_APP_SECRET,
-        tokenData.access_token
-      );
+      const result = await pool.query('SELECT ig_access_token FROM ig_tenants WHERE id = $1', [tenantId]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
       
-      // Get user info
-      const userResponse = await fetch(
-        `${INSTAGRAM_GRAPH_API}/me?fields=id,username&access_token=${longLivedToken.accessToken}`
-      );
-      const userData = await userResponse.json();
+      let revoked = false;
+      let revokeError = null;
+      if (result.rows[0].ig_access_token) {
+        try {
+          await revokeAccessToken(decryptToken(result.rows[0].ig_access_token));
+          revoked = true;
+        } catch (error) {
+          console.error(`Instagram token revoke error for tenant ${tenantId}:`, error.message);
+          revokeError = error.message;
+        }
+      }
       
-      // Update tenant with Instagram credentials
       await pool.query(
         `UPDATE ig_tenants SET 
-          ig_user_id = $1,
-          ig_username = $2,
-          ig_access_token = $3,
-          ig_token_expires_at = NOW() + INTERVAL '60 days',
+          ig_access_token = NULL,
+          ig_token_expires_at = NULL,
+          ig_user_id = NULL,
+          ig_username = NULL,
+          fb_page_id = NULL,
+          fb_page_name = NULL,
+          ig_token_refreshed_at = NULL,
+          ig_token_refresh_attempted_at = NULL,
+          ig_token_refresh_error = NULL,
+          ig_token_invalid = FALSE,
+          ig_token_alert_status = NULL,
+          ig_insights_permission_error = NULL,
           updated_at = CURRENT_TIMESTAMP
-        WHERE id = $4`,
-        [userData.id, userData.username, longLivedToken.accessToken, tenantId]
+        WHERE id = $1`,
+        [tenantId]
       );
       
-      // Redirect to success page
-      res.redirect(`${process.env.FRONTEND_URL}/settings/instagram?success=true`);
+      console.log(`🔌 Instagram disconnected for tenant ${tenantId}`);
+      res.json({ success: true, revoked, revokeError });
       
     } catch (error) {
-      console.error('Instagram callback error:', error);
-      res.redirect(`${process.env.FRONTEND_URL}/settings/instagram?error=${encodeURIComponent(error.message)}`);
+      res.status(500).json({ error: error.message });
     }
   });
   
-  // Get Instagram connection status
+  // Get Instagram connection status (tokenStatus flags expiring/expired/disconnected tokens)
   app.get('/api/instagram/status/:tenantId', async (req, res) => {
     try {
       const { tenantId } = req.params;
       
       const result = await pool.query(
-        'SELECT ig_user_id, ig_username, ig_token_expires_at FROM ig_tenants WHERE id = $1',
+        `SELECT ig_user_id, ig_username, ig_access_token, ig_token_expires_at, ig_token_refreshed_at,
+                ig_token_refresh_error, ig_token_invalid, ig_insights_permission_error
+         FROM ig_tenants WHERE id = $1`,
         [tenantId]
       );
       
@@ -428,11 +703,18 @@ export function setupInstagramRoutes(app, pool) {
       }
       
       const tenant = result.rows[0];
+      const health = getTokenHealth(tenant);
       
       res.json({
         connected: !!tenant.ig_user_id,
         username: tenant.ig_username,
-        tokenExpiresAt: tenant.ig_token_expires_at
+        tokenExpiresAt: tenant.ig_token_expires_at,
+        tokenStatus: health.status,
+        needsReconnect: health.needsReconnect,
+        daysLeft: health.daysLeft,
+        lastRefreshedAt: health.lastRefreshedAt,
+        refreshError: health.refreshError,
+        insightsPermissionError: health.insightsPermissionError
       });
       
     } catch (error) {
@@ -440,14 +722,25 @@ export function setupInstagramRoutes(app, pool) {
     }
   });
   
-  // Generate Instagram OAuth URL
+  // Generate Facebook Login URL with a signed, expiring state for the tenant
   app.get('/api/instagram/auth-url/:tenantId', async (req, res) => {
     try {
       const { tenantId } = req.params;
       
-      const authUrl = `https://api.instagram.com/oauth/authorize?client_id=${process.env.INSTAGRAM_APP_ID}&redirect_uri=${encodeURIComponent(process.env.API_BASE_URL + '/api/instagram/callback')}&scope=user_profile,user_media&response_type=code&state=${tenantId}`;
+      const tenantResult = await pool.query('SELECT id FROM ig_tenants WHERE id = $1', [tenantId]);
+      if (tenantResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
       
-      res.json({ authUrl });
+      const params = new URLSearchParams({
+        client_id: process.env.INSTAGRAM_APP_ID,
+        redirect_uri: getOAuthRedirectUri(),
+        scope: OAUTH_SCOPES.join(','),
+        response_type: 'code',
+        state: createOAuthState(tenantId)
+      });
+      
+      res.json({ authUrl: `${FACEBOOK_OAUTH_DIALOG}?${params}` });
       
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -456,14 +749,23 @@ export function setupInstagramRoutes(app, pool) {
 }
 
 /**
- * Build Instagram caption from carousel data
+ * Caption to publish: the carousel's stored caption (caption_template, OpenAI or manual edit),
+ * or one built from the slides when it is empty
+ */
+export function getPublishCaption(carousel, tenant) {
+  return carousel.caption?.trim() ? carousel.caption : buildInstagramCaption(carousel, tenant);
+}
+
+/**
+ * Build Instagram caption from carousel data, in the language the carousel was generated in
  */
-function buildInstagramCaption(carousel, tenant) {
+export function buildInstagramCaption(carousel, tenant) {
   const slides = typeof carousel.slides === 'string' ? JSON.parse(carousel.slides) : carousel.slides;
+  const messages = getMessages(carousel.language || tenant.content_language);
   const categoryCount = slides.filter(s => s.type === 'category').length;
   
   let caption = `📰 ${carousel.title}\n\n`;
-  caption += `Bu hafta ${categoryCount} farklı kategoride güncel haberler sizlerle!\n\n`;
+  caption += `${messages.captionLead(categoryCount)}\n\n`;
   
   // Add category emojis
   const categories = slides.filter(s => s.type === 'category');
@@ -471,13 +773,13 @@ function buildInstagramCaption(carousel, tenant) {
     caption += `${cat.emoji} ${cat.category}\n`;
   });
   
-  caption += `\n📌 Kaydırarak tüm haberleri görüntüleyin!\n\n`;
+  caption += `\n📌 ${messages.captionSwipe}\n\n`;
   
   // Add hashtags from tenant settings
   if (tenant.default_hashtags) {
     caption += tenant.default_hashtags;
   } else {
-    caption += '#göçmenlik #türkiye #oturmaiizni #çalışmaizni #vize #vatandaşlık';
+    caption += messages.defaultHashtags;
   }
   
   return caption;
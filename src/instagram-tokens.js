@@ -0,0 +1,167 @@
+// Instagram long-lived token maintenance
+// Refreshes tokens before they expire, records refresh failures on the tenant and
+// raises one alert per status change (expiring → expired / disconnected) through a hook.
+
+import { exchangeForLongLivedToken, getTokenHealth, markTokenInvalid, INVALID_TOKEN_ERROR_CODE } from './instagram-publisher.js';
+import { encryptToken, decryptToken } from './token-crypto.js';
+
+// Tokens expiring within this many days are refreshed
+const REFRESH_BEFORE_DAYS = parseInt(process.env.IG_TOKEN_REFRESH_DAYS || '10');
+const DEFAULT_TOKEN_LIFETIME_SECONDS = 60 * 24 * 60 * 60;
+const ALERT_STATUSES = ['expiring', 'expired', 'disconnected'];
+
+let isRunning = false;
+
+/**
+ * Default alert hook: log, and POST the alert as JSON to IG_TOKEN_ALERT_WEBHOOK_URL when set
+ * (e.g. an n8n/Slack/e-mail workflow)
+ */
+async function webhookAlertHandler(alert) {
+  console.warn(`⚠️ Instagram token ${alert.status} for tenant ${alert.tenant.slug} (${alert.tenant.id})`);
+
+  const webhookUrl = process.env.IG_TOKEN_ALERT_WEBHOOK_URL;
+  if (!webhookUrl) return;
+
+  const response = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(alert)
+  });
+  if (!response.ok) throw new Error(`Alert webhook failed (${response.status})`);
+}
+
+let alertHandler = webhookAlertHandler;
+
+/**
+ * Replace the notification hook. The handler gets
+ * { type, status, tenant: { id, name, slug, email, ig_username }, expiresAt, daysLeft, refreshError }
+ */
+export function setTokenAlertHandler(handler) {
+  alertHandler = handler;
+}
+
+/**
+ * Exchange a tenant's long-lived token for a fresh one
+ * @param {object} pool - pg Pool
+ * @param {object} tenant - ig_tenants row
+ * @returns {Promise<object>} - Updated ig_tenants row
+ */
+export async function refreshTenantToken(pool, tenant) {
+  await pool.query('UPDATE ig_tenants SET ig_token_refresh_attempted_at = CURRENT_TIMESTAMP WHERE id = $1', [tenant.id]);
+
+  try {
+    const token = await exchangeForLongLivedToken(process.env.INSTAGRAM_APP_ID, process.env.INSTAGRAM_APP_SECRET, decryptToken(tenant.ig_access_token));
+    const result = await pool.query(
+      `UPDATE ig_tenants SET
+        ig_access_token = $1,
+        ig_token_expires_at = NOW() + make_interval(secs => $2),
+        ig_token_refreshed_at = CURRENT_TIMESTAMP,
+        ig_token_refresh_error = NULL,
+        ig_token_alert_status = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3 RETURNING *`,
+      [encryptToken(token.accessToken), token.expiresIn || DEFAULT_TOKEN_LIFETIME_SECONDS, tenant.id]
+    );
+    console.log(`🔑 Instagram token refreshed for tenant ${tenant.id}`);
+    return result.rows[0];
+  } catch (error) {
+    console.error(`❌ Instagram token refresh failed for tenant ${tenant.id}:`, error.message);
+    if (error.code === INVALID_TOKEN_ERROR_CODE) {
+      await markTokenInvalid(pool, tenant.id, error.message);
+    } else {
+      await pool.query('UPDATE ig_tenants SET ig_token_refresh_error = $1 WHERE id = $2', [error.message, tenant.id]);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Notify once per status change for tenants whose token is expiring, expired or rejected.
+ * A failed notification is retried on the next run.
+ * @param {object} pool - pg Pool
+ */
+export async function sendTokenAlerts(pool) {
+  const result = await pool.query(
+    `SELECT * FROM ig_tenants WHERE is_active = TRUE AND ig_user_id IS NOT NULL AND ig_access_token IS NOT NULL`
+  );
+
+  for (const tenant of result.rows) {
+    const health = getTokenHealth(tenant);
+    const alertStatus = ALERT_STATUSES.includes(health.status) ? health.status : null;
+    if (alertStatus === (tenant.ig_token_alert_status || null)) continue;
+
+    try {
+      if (alertStatus) {
+        await alertHandler({
+          type: 'instagram_token',
+          status: alertStatus,
+          tenant: { id: tenant.id, name: tenant.name, slug: tenant.slug, email: tenant.email, ig_username: tenant.ig_username },
+          expiresAt: health.expiresAt,
+          daysLeft: health.daysLeft,
+          refreshError: health.refreshError
+        });
+      }
+      await pool.query('UPDATE ig_tenants SET ig_token_alert_status = $1 WHERE id = $2', [alertStatus, tenant.id]);
+    } catch (error) {
+      console.error(`Token alert error for tenant ${tenant.id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Refresh tokens that expire within REFRESH_BEFORE_DAYS (failed attempts are retried
+ * after 12 hours), then send alerts
+ * @param {object} pool - pg Pool
+ */
+export async function checkInstagramTokens(pool) {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const due = await pool.query(
+      `SELECT * FROM ig_tenants
+       WHERE is_active = TRUE AND ig_access_token IS NOT NULL AND ig_token_invalid IS NOT TRUE
+         AND ig_token_expires_at > NOW() AND ig_token_expires_at < NOW() + make_interval(days => $1)
+         AND (ig_token_refresh_attempted_at IS NULL OR ig_token_refresh_attempted_at < NOW() - INTERVAL '12 hours')`,
+      [REFRESH_BEFORE_DAYS]
+    );
+
+    for (const tenant of due.rows) {
+      // Failures are logged and recorded on the tenant; keep going with the others
+      await refreshTenantToken(pool, tenant).catch(() => {});
+    }
+
+    await sendTokenAlerts(pool);
+  } catch (error) {
+    console.error('Instagram token check error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Setup Express routes for Instagram token maintenance
+ */
+export function setupInstagramTokenRoutes(app, pool) {
+
+  // Refresh a tenant's token now (e.g. from the settings page after an alert)
+  app.post('/api/instagram/refresh-token/:tenantId', async (req, res) => {
+    try {
+      const result = await pool.query('SELECT * FROM ig_tenants WHERE id = $1', [req.params.tenantId]);
+      if (result.rows.length === 0) return res.status(404).json({ error: 'Tenant not found' });
+
+      const tenant = result.rows[0];
+      if (!tenant.ig_access_token) return res.status(400).json({ error: 'Instagram not connected for this tenant' });
+
+      try {
+        const refreshed = await refreshTenantToken(pool, tenant);
+        res.json({ success: true, tokenStatus: getTokenHealth(refreshed) });
+      } catch (error) {
+        const current = await pool.query('SELECT * FROM ig_tenants WHERE id = $1', [tenant.id]);
+        res.status(502).json({ error: error.message, tokenStatus: getTokenHealth(current.rows[0]) });
+      }
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
@@ -0,0 +1,368 @@
+// Media Storage for rendered slides
+// Drivers: local filesystem (served under /media) and S3-compatible (AWS S3, MinIO, R2...)
+// Publishing renders once, uploads, and hands Instagram stable public URLs.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import express from 'express';
+import { renderCarouselSlides, getTemplate, getBranding, getCarouselSlides } from './carousel-render.js';
+import { getRenderCacheKey, invalidateCarouselRenders } from './render-cache.js';
+
+const LOCAL_MEDIA_DIR = process.env.MEDIA_STORAGE_DIR || path.join(process.cwd(), 'data', 'media');
+const MAX_COVER_BYTES = 10 * 1024 * 1024;
+const COVER_FITS = ['cover', 'contain'];
+const COVER_POSITIONS = ['center', 'top', 'bottom', 'left', 'right'];
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Compute an AWS Signature V4 Authorization header for an S3 request
+ * @param {object} params
+ * @param {string} params.method - HTTP method
+ * @param {string} params.host - Host header value
+ * @param {string} params.path - URI-encoded request path
+ * @param {object} params.headers - Extra headers to sign (lowercase names)
+ * @param {string} params.payloadHash - Hex SHA-256 of the body
+ * @param {string} params.amzDate - Timestamp as YYYYMMDDTHHMMSSZ
+ * @param {string} params.region - Bucket region
+ * @param {string} params.accessKeyId - Access key
+ * @param {string} params.secretAccessKey - Secret key
+ * @returns {string} - Authorization header value
+ */
+export function signS3Request({ method, host, path: requestPath, headers, payloadHash, amzDate, region, accessKeyId, secretAccessKey }) {
+  const dateStamp = amzDate.slice(0, 8);
+  const allHeaders = { ...headers, host };
+  const headerNames = Object.keys(allHeaders).sort();
+  const canonicalHeaders = headerNames.map(name => `${name}:${String(allHeaders[name]).trim()}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [method, requestPath, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+function createLocalDriver() {
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const baseUrl = process.env.MEDIA_PUBLIC_URL || (process.env.API_BASE_URL && `${process.env.API_BASE_URL}/media`);
+      if (!baseUrl) throw new Error('MEDIA_PUBLIC_URL or API_BASE_URL required for local media storage');
+
+      const file = path.join(LOCAL_MEDIA_DIR, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return `${baseUrl}/${key}`;
+    },
+
+    async delete(key) {
+      await fs.rm(path.join(LOCAL_MEDIA_DIR, key), { force: true });
+    }
+  };
+}
+
+// Path-style addressing (endpoint/bucket/key) works with both AWS and MinIO
+function createS3Driver() {
+  const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`);
+  const region = process.env.S3_REGION || 'us-east-1';
+  const bucket = process.env.S3_BUCKET;
+  const publicBaseUrl = process.env.S3_PUBLIC_URL || `${endpoint.origin}/${bucket}`;
+
+  if (!bucket || !process.env.S3_ACCESS_KEY_ID || !process.env.S3_SECRET_ACCESS_KEY) {
+    throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY required for s3 media storage');
+  }
+
+  async function s3Request(method, key, body = null, contentType = null) {
+    const requestPath = `/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const payloadHash = sha256Hex(body || '');
+    const headers = { 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    if (contentType) headers['content-type'] = contentType;
+
+    headers.authorization = signS3Request({
+      method,
+      host: endpoint.host,
+      path: requestPath,
+      headers,
+      payloadHash,
+      amzDate,
+      region,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    });
+
+    const response = await fetch(`${endpoint.origin}${requestPath}`, { method, headers, body });
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      throw new Error(`S3 ${method} ${key} failed (${response.status}): ${await response.text()}`);
+    }
+  }
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await s3Request('PUT', key, buffer, contentType);
+      return `${publicBaseUrl}/${key}`;
+    },
+
+    async delete(key) {
+      await s3Request('DELETE', key);
+    }
+  };
+}
+
+let driver = null;
+
+/**
+ * Storage driver selected by MEDIA_STORAGE_DRIVER (local | s3)
+ */
+export function getMediaStorage() {
+  if (!driver) {
+    const driverName = process.env.MEDIA_STORAGE_DRIVER || 'local';
+    if (driverName === 's3') driver = createS3Driver();
+    else if (driverName === 'local') driver = createLocalDriver();
+    else throw new Error(`Unknown MEDIA_STORAGE_DRIVER: ${driverName}`);
+  }
+  return driver;
+}
+
+/**
+ * Render (cache-aware) and upload every slide of a carousel, tracking each asset.
+ * Slides whose content hash is already stored are not uploaded again.
+ * @param {object} pool - pg Pool
+ * @param {object} carousel - carousel_posts row
+ * @returns {Promise<string[]>} - Public image URLs in slide order
+ */
+export async function storeCarouselSlides(pool, carousel) {
+  const storage = getMediaStorage();
+  const slides = getCarouselSlides(carousel);
+  const branding = await getBranding(pool, carousel.tenant_id);
+  const options = {
+    template: await getTemplate(pool, carousel.template_id),
+    branding,
+    format: carousel.format || 'square',
+    language: carousel.language || branding?.content_language
+  };
+
+  const existingResult = await pool.query(
+    'SELECT * FROM carousel_assets WHERE carousel_id = $1 AND storage_driver = $2',
+    [carousel.id, storage.name]
+  );
+  const existing = existingResult.rows;
+  const urls = [];
+  const usedKeys = new Set();
+
+  for (let i = 0; i < slides.length; i++) {
+    const slideNumber = i + 1;
+    const contentHash = getRenderCacheKey(slides[i], options);
+    const current = existing.find(asset => asset.slide_number === slideNumber);
+    const storageKey = `carousels/${carousel.id}/${contentHash}.png`;
+    usedKeys.add(storageKey);
+
+    if (current && current.content_hash === contentHash) {
+      urls.push(current.public_url);
+      continue;
+    }
+
+    const [image] = await renderCarouselSlides(carousel.id, [slides[i]], options);
+    const publicUrl = await storage.put(storageKey, image.buffer, 'image/png');
+
+    await pool.query(
+      `INSERT INTO carousel_assets (carousel_id, slide_number, storage_driver, storage_key, public_url, content_hash)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (carousel_id, slide_number, storage_driver) DO UPDATE SET
+         storage_key = $4, public_url = $5, content_hash = $6, created_at = CURRENT_TIMESTAMP`,
+      [carousel.id, slideNumber, storage.name, storageKey, publicUrl, contentHash]
+    );
+
+    urls.push(publicUrl);
+  }
+
+  // Slides removed since the last upload
+  await pool.query(
+    'DELETE FROM carousel_assets WHERE carousel_id = $1 AND storage_driver = $2 AND slide_number > $3',
+    [carousel.id, storage.name, slides.length]
+  );
+
+  // Objects no slide points to anymore (keys are content-addressed, so shared images stay).
+  // Callers make sure no active publish job still uses them: the assets route refuses while one
+  // is active, and a job only stores slides before it saves its own image_urls.
+  const staleKeys = new Set(existing.map(asset => asset.storage_key).filter(key => !usedKeys.has(key)));
+  for (const key of staleKeys) {
+    await storage.delete(key);
+  }
+
+  return urls;
+}
+
+/**
+ * Detect an uploaded cover image type from its magic bytes
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {object|null} - { contentType, extension }, null if not PNG/JPEG/WebP
+ */
+function detectImageType(buffer) {
+  if (buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return { contentType: 'image/png', extension: 'png' };
+  }
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { contentType: 'image/jpeg', extension: 'jpg' };
+  }
+  if (buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return { contentType: 'image/webp', extension: 'webp' };
+  }
+  return null;
+}
+
+// Remove a previously uploaded cover object (covers set by URL have no key)
+export async function deleteCoverObject(carousel) {
+  if (!carousel.cover_image_key) return;
+  try {
+    await getMediaStorage().delete(carousel.cover_image_key);
+  } catch (error) {
+    console.error(`Cover delete error (${carousel.cover_image_key}):`, error.message);
+  }
+}
+
+/**
+ * Delete every stored asset of a carousel (storage objects + tracking rows)
+ */
+export async function deleteCarouselAssets(pool, carouselId) {
+  const carouselResult = await pool.query('SELECT cover_image_key FROM carousel_posts WHERE id = $1', [carouselId]);
+  if (carouselResult.rows[0]) await deleteCoverObject(carouselResult.rows[0]);
+
+  const result = await pool.query('SELECT * FROM carousel_assets WHERE carousel_id = $1', [carouselId]);
+
+  for (const asset of result.rows) {
+    try {
+      // Assets from a previously configured driver are left in place
+      if (asset.storage_driver === getMediaStorage().name) await getMediaStorage().delete(asset.storage_key);
+    } catch (error) {
+      console.error(`Asset delete error (${asset.storage_key}):`, error.message);
+    }
+  }
+
+  await pool.query('DELETE FROM carousel_assets WHERE carousel_id = $1', [carouselId]);
+}
+
+/**
+ * Setup Express routes for stored carousel media
+ */
+export function setupMediaStorageRoutes(app, pool) {
+
+  // Local driver files are served by the API itself
+  app.use('/media', express.static(LOCAL_MEDIA_DIR, { maxAge: '7d', immutable: true }));
+
+  // List stored assets of a carousel
+  app.get('/api/carousel/:id/assets', async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM carousel_assets WHERE carousel_id = $1 ORDER BY slide_number',
+        [req.params.id]
+      );
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Upload a cover image: raw image body (Content-Type: image/png|jpeg|webp)
+  // or JSON { image: base64 or data URL }. ?fit=cover|contain&position=center|top|bottom|left|right
+  app.post('/api/carousel/:id/cover', express.raw({ type: 'image/*', limit: MAX_COVER_BYTES }), async (req, res) => {
+    try {
+      const fit = req.query.fit || req.body?.fit;
+      const position = req.query.position || req.body?.position;
+      if (fit && !COVER_FITS.includes(fit)) return res.status(400).json({ error: `fit must be one of: ${COVER_FITS.join(', ')}` });
+      if (position && !COVER_POSITIONS.includes(position)) return res.status(400).json({ error: `position must be one of: ${COVER_POSITIONS.join(', ')}` });
+
+      const buffer = Buffer.isBuffer(req.body)
+        ? req.body
+        : Buffer.from(String(req.body?.image || '').replace(/^data:[^;]+;base64,/, ''), 'base64');
+      if (buffer.length === 0) return res.status(400).json({ error: 'image required' });
+      if (buffer.length > MAX_COVER_BYTES) return res.status(413).json({ error: 'image must be at most 10 MB' });
+
+      const imageType = detectImageType(buffer);
+      if (!imageType) return res.status(400).json({ error: 'image must be PNG, JPEG or WebP' });
+
+      const existing = await pool.query('SELECT * FROM carousel_posts WHERE id = $1', [req.params.id]);
+      if (existing.rows.length === 0) return res.status(404).json({ error: 'Carousel not found' });
+
+      const key = `carousels/${req.params.id}/cover-${sha256Hex(buffer).slice(0, 32)}.${imageType.extension}`;
+      const publicUrl = await getMediaStorage().put(key, buffer, imageType.contentType);
+
+      const result = await pool.query(
+        `UPDATE carousel_posts SET
+          cover_image_url = $1,
+          cover_image_key = $2,
+          cover_image_fit = COALESCE($3, cover_image_fit),
+          cover_image_position = COALESCE($4, cover_image_position),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5 RETURNING *`,
+        [publicUrl, key, fit || null, position || null, req.params.id]
+      );
+
+      if (existing.rows[0].cover_image_key !== key) await deleteCoverObject(existing.rows[0]);
+      await invalidateCarouselRenders(req.params.id);
+
+      console.log(`🖼️ Cover image uploaded for carousel ${req.params.id}`);
+      res.json({ success: true, carousel: result.rows[0] });
+    } catch (error) {
+      console.error('Cover upload error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Remove the cover image; the cover slide falls back to the placeholder
+  app.delete('/api/carousel/:id/cover', async (req, res) => {
+    try {
+      const existing = await pool.query('SELECT * FROM carousel_posts WHERE id = $1', [req.params.id]);
+      if (existing.rows.length === 0) return res.status(404).json({ error: 'Carousel not found' });
+
+      await deleteCoverObject(existing.rows[0]);
+      const result = await pool.query(
+        `UPDATE carousel_posts SET cover_image_url = NULL, cover_image_key = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+        [req.params.id]
+      );
+      await invalidateCarouselRenders(req.params.id);
+
+      res.json({ success: true, carousel: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Render and upload all slides now (publishing does this automatically)
+  app.post('/api/carousel/:id/assets', async (req, res) => {
+    try {
+      const result = await pool.query('SELECT * FROM carousel_posts WHERE id = $1', [req.params.id]);
+      if (result.rows.length === 0) return res.status(404).json({ error: 'Carousel not found' });
+
+      // An active publish job hands its saved image_urls to Instagram (also after a resume);
+      // re-uploading now would delete the objects behind them once the slides changed
+      const activeJob = await pool.query(
+        `SELECT id FROM ig_publish_jobs WHERE carousel_id = $1 AND status IN ('pending', 'running')`,
+        [req.params.id]
+      );
+      if (activeJob.rows.length > 0) {
+        return res.status(409).json({ error: 'This carousel is being published; try again when the job finishes', jobId: activeJob.rows[0].id });
+      }
+
+      const urls = await storeCarouselSlides(pool, result.rows[0]);
+      res.json({ success: true, imageUrls: urls });
+    } catch (error) {
+      console.error('Asset upload error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
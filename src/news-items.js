@@ -0,0 +1,397 @@
+// Stored news (news_items) → weekly carousel input + editor curation API
+// Builds the same { weekRange, categories } shape generateDemoNews() returns,
+// from a tenant's unused items in a week, and tracks which carousel used them.
+
+import { formatWeekRange, createSlidesWithBrand } from './carousel-content.js';
+import { invalidateCarouselRenders } from './render-cache.js';
+
+const DEFAULT_ITEMS_PER_CATEGORY = 5;
+const DEFAULT_EMOJI = '📰';
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Resolve a week range; defaults to the current Monday-Sunday week,
+ * and week_end defaults to week_start + 6 days.
+ * Dates are kept at 12:00 UTC so they format to the same day in any server timezone.
+ * @returns {object|null} - { weekStart, weekEnd } as Dates, null if a date is invalid
+ */
+export function resolveWeekRange(weekStart, weekEnd) {
+  let start;
+  if (weekStart) {
+    start = new Date(`${weekStart}T12:00:00Z`);
+  } else {
+    const today = new Date();
+    start = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate() - ((today.getDay() + 6) % 7), 12));
+  }
+  const end = weekEnd ? new Date(`${weekEnd}T12:00:00Z`) : new Date(start.getTime() + 6 * 86400000);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) return null;
+  return { weekStart: start, weekEnd: end };
+}
+
+/**
+ * Load a tenant's unused, non-excluded news_items for a week as carousel news data
+ * (editor order first, then newest)
+ * @param {object} pool - pg Pool
+ * @param {number|string} tenantId - Tenant ID
+ * @param {object} range - { weekStart, weekEnd } from resolveWeekRange
+ * @param {object} options - { perCategory, categoryLimits: { "Vize": 2 }, language }
+ *   language: content language of the week range text
+ * @returns {Promise<object>} - { weekRange, weekStart, weekEnd, categories: [{ name, emoji, news }] }
+ */
+export async function loadWeeklyNews(pool, tenantId, { weekStart, weekEnd }, { perCategory = DEFAULT_ITEMS_PER_CATEGORY, categoryLimits = {}, language } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM news_items
+     WHERE tenant_id = $1 AND is_used = FALSE AND is_excluded = FALSE AND news_date BETWEEN $2 AND $3
+     ORDER BY sort_order, news_date DESC, id`,
+    [tenantId, toDateString(weekStart), toDateString(weekEnd)]
+  );
+
+  const categories = new Map();
+  for (const item of result.rows) {
+    if (!categories.has(item.category)) {
+      categories.set(item.category, { name: item.category, emoji: item.emoji || null, news: [] });
+    }
+    const category = categories.get(item.category);
+    const limit = categoryLimits[item.category] ?? perCategory;
+    if (category.news.length >= limit) continue;
+
+    category.emoji = category.emoji || item.emoji;
+    category.news.push({ id: item.id, title: item.title, summary: item.summary || '', source: item.source_name || '', url: item.source_url || '' });
+  }
+
+  return {
+    weekRange: formatWeekRange(weekStart, weekEnd, language),
+    weekStart: toDateString(weekStart),
+    weekEnd: toDateString(weekEnd),
+    // Busiest categories first
+    categories: [...categories.values()]
+      .filter(category => category.news.length > 0)
+      .map(category => ({ ...category, emoji: category.emoji || DEFAULT_EMOJI }))
+      .sort((a, b) => b.news.length - a.news.length)
+  };
+}
+
+/**
+ * Mark the tenant's news items that made it onto a carousel's slides as used by it.
+ * Slides built from a hand-written news_data may carry ids that are not news_items ids; those are skipped.
+ * @param {object} db - pg Pool or a client inside the carousel's transaction
+ * @param {number} carouselId - carousel_posts id
+ * @param {Array} slides - Slides built by createSlidesWithBrand
+ * @param {number|string} tenantId - Owner of the news items
+ * @returns {Promise<number>} - Number of items marked
+ */
+export async function markNewsItemsUsed(db, carouselId, slides, tenantId) {
+  const ids = slides
+    .flatMap(slide => (slide.items || []).map(item => Number(item.id)))
+    .filter(id => Number.isInteger(id) && id > 0);
+  if (ids.length === 0 || !tenantId) return 0;
+
+  const result = await db.query(
+    'UPDATE news_items SET is_used = TRUE, carousel_id = $1 WHERE id = ANY($2::int[]) AND tenant_id = $3 AND is_used = FALSE',
+    [carouselId, ids, tenantId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Make a carousel's news items available again (e.g. before the carousel is deleted)
+ */
+export async function releaseNewsItems(pool, carouselId) {
+  await pool.query('UPDATE news_items SET is_used = FALSE, carousel_id = NULL WHERE carousel_id = $1', [carouselId]);
+}
+
+/**
+ * Validate news item fields from a request body (all optional)
+ * @returns {string|null} - Validation error message, null if valid
+ */
+function validateNewsItemInput(body) {
+  if (body.title !== undefined && (typeof body.title !== 'string' || !body.title.trim() || body.title.length > 500)) {
+    return 'title must be 1-500 characters';
+  }
+  if (body.category !== undefined && (typeof body.category !== 'string' || !body.category.trim() || body.category.length > 100)) {
+    return 'category must be 1-100 characters';
+  }
+  if (body.emoji !== undefined && body.emoji !== null && String(body.emoji).length > 10) return 'emoji must be at most 10 characters';
+  if (body.source_name !== undefined && body.source_name !== null && String(body.source_name).length > 100) return 'source_name must be at most 100 characters';
+  if (body.source_url && !/^https?:\/\//i.test(body.source_url)) return 'source_url must be an http(s) URL';
+  if (body.news_date && isNaN(new Date(body.news_date).getTime())) return 'news_date must be a valid date';
+  return null;
+}
+
+/**
+ * Check that every id belongs to the tenant (and category, when given)
+ * @returns {Promise<Array>} - Matching news_items rows
+ */
+async function getTenantItems(pool, tenantId, ids, category = null) {
+  const result = await pool.query(
+    `SELECT * FROM news_items WHERE id = ANY($1::int[]) AND tenant_id = $2 AND ($3::text IS NULL OR category = $3)`,
+    [ids, tenantId, category]
+  );
+  return result.rows;
+}
+
+/**
+ * Add assigned news items to a draft carousel's raw_news and rebuild its slides.
+ * The cover and intro slides (and any editor changes on them) are kept; category
+ * and outro slides are rebuilt from raw_news within the slide cap.
+ * @param {object} carousel - carousel_posts row
+ * @param {Array} items - news_items rows being assigned
+ * @param {object|null} tenant - ig_tenants row for branding and the outro
+ * @returns {object} - { rawNews, slides }
+ */
+function addItemsToCarousel(carousel, items, tenant) {
+  const stored = (typeof carousel.raw_news === 'string' ? JSON.parse(carousel.raw_news) : carousel.raw_news) || {};
+  const rawNews = { ...stored, categories: (stored.categories || []).map(category => ({ ...category, news: [...category.news] })) };
+  const existingIds = new Set(rawNews.categories.flatMap(category => category.news.map(n => n.id)));
+
+  for (const item of items) {
+    if (existingIds.has(item.id)) continue;
+    let category = rawNews.categories.find(cat => cat.name === item.category);
+    if (!category) {
+      category = { name: item.category, emoji: item.emoji || DEFAULT_EMOJI, news: [] };
+      rawNews.categories.push(category);
+    }
+    category.news.push({
+      id: item.id,
+      title: item.title,
+      summary: item.summary || '',
+      source: item.source_name || '',
+      url: item.source_url || '',
+      ...(item.ai_text ? { ai_text: item.ai_text } : {})
+    });
+  }
+
+  const currentSlides = (typeof carousel.slides === 'string' ? JSON.parse(carousel.slides) : carousel.slides) || [];
+  const brandName = currentSlides[0]?.brand || tenant?.brand_name || 'ATASA';
+  const slides = createSlidesWithBrand(rawNews, brandName, { format: carousel.format || 'square', tenant, language: carousel.language })
+    .map(slide => (['cover', 'intro'].includes(slide.type) && currentSlides.find(current => current.type === slide.type)) || slide);
+
+  return { rawNews, slides };
+}
+
+/**
+ * Respond 404 or 409 after a change to an unused item matched no rows
+ */
+async function sendItemConflict(pool, res, id, tenantId) {
+  const existing = await pool.query('SELECT carousel_id FROM news_items WHERE id = $1 AND tenant_id = $2', [id, tenantId]);
+  if (existing.rows.length === 0) return res.status(404).json({ error: 'News item not found' });
+  res.status(409).json({ error: `News item is used by carousel ${existing.rows[0].carousel_id}; unassign it first` });
+}
+
+function parseIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0) return null;
+  const parsed = ids.map(id => parseInt(id));
+  return parsed.some(isNaN) ? null : parsed;
+}
+
+/**
+ * Setup Express routes for news item curation
+ */
+export function setupNewsItemRoutes(app, pool) {
+
+  // List a tenant's news (?week_start=&week_end=&category=&status=unused|used&include_excluded=true)
+  app.get('/api/news-items', async (req, res) => {
+    try {
+      const { tenant_id, week_start, week_end, category, status, include_excluded } = req.query;
+      if (!tenant_id) return res.status(400).json({ error: 'tenant_id required' });
+
+      const params = [tenant_id];
+      let query = 'SELECT * FROM news_items WHERE tenant_id = $1';
+
+      if (week_start || week_end) {
+        const range = resolveWeekRange(week_start, week_end);
+        if (!range) return res.status(400).json({ error: 'week_start/week_end must be valid dates (YYYY-MM-DD)' });
+        params.push(toDateString(range.weekStart), toDateString(range.weekEnd));
+        query += ` AND news_date BETWEEN $${params.length - 1} AND $${params.length}`;
+      }
+      if (category) {
+        params.push(category);
+        query += ` AND category = $${params.length}`;
+      }
+      if (status === 'unused') query += ' AND is_used = FALSE';
+      else if (status === 'used') query += ' AND is_used = TRUE';
+      if (include_excluded !== 'true') query += ' AND is_excluded = FALSE';
+
+      query += ' ORDER BY category, sort_order, news_date DESC, id';
+      res.json((await pool.query(query, params)).rows);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Add an item by hand
+  app.post('/api/news-items', async (req, res) => {
+    try {
+      const { tenant_id, category, title, summary, source_url, source_name, emoji, news_date } = req.body;
+      if (!tenant_id || !category || !title) return res.status(400).json({ error: 'tenant_id, category, title required' });
+
+      const validationError = validateNewsItemInput(req.body);
+      if (validationError) return res.status(400).json({ error: validationError });
+
+      // New items go to the end of their category
+      const result = await pool.query(
+        `INSERT INTO news_items (tenant_id, category, title, summary, source_url, source_name, emoji, news_date, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::date, CURRENT_DATE),
+           (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM news_items WHERE tenant_id = $1 AND category = $2))
+         RETURNING *`,
+        [tenant_id, category.trim(), title.trim(), summary || null, source_url || null, source_name || null, emoji || null, news_date || null]
+      );
+      res.status(201).json({ success: true, newsItem: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Edit an unused item, or exclude it from carousels with { is_excluded: true }: { tenant_id, ... }
+  // Items on a carousel are unassigned first, so their text never drifts from the carousel's slides
+  app.put('/api/news-items/:id', async (req, res) => {
+    try {
+      const { tenant_id, category, title, summary, source_url, source_name, emoji, news_date, is_excluded } = req.body;
+      if (!tenant_id) return res.status(400).json({ error: 'tenant_id required' });
+      const validationError = validateNewsItemInput(req.body);
+      if (validationError) return res.status(400).json({ error: validationError });
+
+      const result = await pool.query(
+        `UPDATE news_items SET
+          category = COALESCE($1, category),
+          title = COALESCE($2, title),
+          summary = COALESCE($3, summary),
+          source_url = COALESCE($4, source_url),
+          source_name = COALESCE($5, source_name),
+          emoji = COALESCE($6, emoji),
+          news_date = COALESCE($7::date, news_date),
+          is_excluded = COALESCE($8, is_excluded),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $9 AND tenant_id = $10 AND carousel_id IS NULL RETURNING *`,
+        [category?.trim(), title?.trim(), summary, source_url, source_name, emoji, news_date, is_excluded, req.params.id, tenant_id]
+      );
+      if (result.rows.length === 0) return sendItemConflict(pool, res, req.params.id, tenant_id);
+      res.json({ success: true, newsItem: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete an item that no carousel uses (exclude it instead to keep the history): ?tenant_id=
+  app.delete('/api/news-items/:id', async (req, res) => {
+    try {
+      const { tenant_id } = req.query;
+      if (!tenant_id) return res.status(400).json({ error: 'tenant_id required' });
+
+      const result = await pool.query(
+        'DELETE FROM news_items WHERE id = $1 AND tenant_id = $2 AND carousel_id IS NULL RETURNING id',
+        [req.params.id, tenant_id]
+      );
+      if (result.rows.length === 0) return sendItemConflict(pool, res, req.params.id, tenant_id);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Reorder items within a category: { tenant_id, category, ids: [first, second, ...] }
+  app.post('/api/news-items/reorder', async (req, res) => {
+    try {
+      const { tenant_id, category } = req.body;
+      const ids = parseIds(req.body.ids);
+      if (!tenant_id || !category || !ids) return res.status(400).json({ error: 'tenant_id, category, ids required' });
+
+      const items = await getTenantItems(pool, tenant_id, ids, category);
+      if (items.length !== new Set(ids).size) return res.status(400).json({ error: 'All ids must be news items of this tenant and category' });
+
+      await pool.query(
+        `UPDATE news_items SET sort_order = ordered.position, updated_at = CURRENT_TIMESTAMP
+         FROM unnest($1::int[]) WITH ORDINALITY AS ordered(id, position)
+         WHERE news_items.id = ordered.id`,
+        [ids]
+      );
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Link items to one of the tenant's draft carousels and add them to its slides: { tenant_id, carousel_id, ids }
+  app.post('/api/news-items/assign', async (req, res) => {
+    try {
+      const { tenant_id, carousel_id } = req.body;
+      const ids = parseIds(req.body.ids);
+      if (!tenant_id || !carousel_id || !ids) return res.status(400).json({ error: 'tenant_id, carousel_id, ids required' });
+
+      const items = await getTenantItems(pool, tenant_id, ids);
+      if (items.length !== new Set(ids).size) return res.status(400).json({ error: 'All ids must be news items of this tenant' });
+
+      const unavailable = items.filter(item => item.is_excluded || (item.carousel_id && item.carousel_id !== parseInt(carousel_id)));
+      if (unavailable.length > 0) {
+        return res.status(409).json({ error: 'Some items are excluded or used by another carousel', ids: unavailable.map(item => item.id) });
+      }
+
+      // The items and the rebuilt slides are saved together; the carousel row lock serializes concurrent assigns
+      const client = await pool.connect();
+      let newsItems;
+      let notFitted;
+      try {
+        await client.query('BEGIN');
+        const carouselResult = await client.query('SELECT * FROM carousel_posts WHERE id = $1 AND tenant_id = $2 FOR UPDATE', [carousel_id, tenant_id]);
+        if (carouselResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'Carousel not found for this tenant' });
+        }
+        const carousel = carouselResult.rows[0];
+        if (carousel.status !== 'draft') {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'Items can only be assigned to draft carousels' });
+        }
+
+        const tenantResult = await client.query('SELECT * FROM ig_tenants WHERE id = $1', [tenant_id]);
+        const { rawNews, slides } = addItemsToCarousel(carousel, items, tenantResult.rows[0] || null);
+
+        // Items dropped to stay within the slide cap stay available for another carousel
+        const onSlides = new Set(slides.flatMap(slide => (slide.items || []).map(item => item.id)));
+        const fitted = ids.filter(id => onSlides.has(id));
+        notFitted = ids.filter(id => !onSlides.has(id));
+
+        await client.query(
+          'UPDATE carousel_posts SET slides = $1, raw_news = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+          [JSON.stringify(slides), JSON.stringify(rawNews), carousel.id]
+        );
+        newsItems = (await client.query(
+          'UPDATE news_items SET is_used = TRUE, carousel_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2::int[]) RETURNING *',
+          [carousel.id, fitted]
+        )).rows;
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      await invalidateCarouselRenders(carousel_id);
+      res.json({ success: true, newsItems, notFitted });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Release items from their carousel: { tenant_id, ids }
+  app.post('/api/news-items/unassign', async (req, res) => {
+    try {
+      const { tenant_id } = req.body;
+      const ids = parseIds(req.body.ids);
+      if (!tenant_id || !ids) return res.status(400).json({ error: 'tenant_id, ids required' });
+
+      const result = await pool.query(
+        'UPDATE news_items SET is_used = FALSE, carousel_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1::int[]) AND tenant_id = $2 RETURNING *',
+        [ids, tenant_id]
+      );
+      res.json({ success: true, newsItems: result.rows });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
@@ -0,0 +1,171 @@
+// LLM rewriting of weekly news into slide-ready text in the tenant's content language
+// One OpenAI chat call (same integration as the auto-blog) returns a short bullet per
+// news item, the intro paragraph and the caption. Originals stay on the slides
+// (original_text / original_content) and the carousel (original_caption) for revert.
+
+import { invalidateCarouselRenders } from './render-cache.js';
+import { getMessages } from './i18n.js';
+
+export const DEFAULT_BULLET_MAX_CHARS = 120;
+const INTRO_MAX_CHARS = 500;
+
+function getSystemPrompt(maxChars, language) {
+  const { languageName } = getMessages(language);
+  return `Sen Türkiye'deki göçmenlik haberlerini Instagram carousel'i için özetleyen bir editörsün.
+
+Kurallar:
+- Her haber için tek cümlelik, en fazla ${maxChars} karakterlik bir madde yaz.
+- Tüm metinleri (maddeler, intro, caption) ${languageName} yaz; haber başka dilde olsa bile çevir.
+- Tüm maddeler aynı üslupta olsun: yalın, bilgilendirici, geniş zamanlı veya -di'li geçmiş zaman.
+- Haberde olmayan bilgi ekleme, rakam ve tarihleri aynen koru. Emoji kullanma.
+- "intro": okura hitap eden, haftanın öne çıkan konularını anan, en fazla ${INTRO_MAX_CHARS} karakterlik giriş paragrafı (paragraflar arasında \\n\\n).
+- "caption": Instagram açıklaması; başlık satırı, kısa özet ve kategori listesi. Hashtag ekleme.
+
+Sadece şu JSON'u döndür: {"items": [{"key": "...", "text": "..."}], "intro": "...", "caption": "..."}`;
+}
+
+// Cut at a word boundary so a too-long answer still fits the slide layout
+export function truncateText(text, maxChars) {
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxChars) return clean;
+
+  const cut = clean.slice(0, maxChars - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxChars * 0.6 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:]+$/, '')}…`;
+}
+
+async function getOpenAIKey(pool) {
+  const result = await pool.query(`SELECT value FROM settings WHERE key = 'openai_api_key'`);
+  return result.rows[0]?.value || null;
+}
+
+/**
+ * Rewrite every news item into a bullet and write the intro and caption
+ * @param {object} pool - pg Pool
+ * @param {object} newsData - { weekRange, categories: [{ name, emoji, news }] }
+ * @param {object} options - { brandName, maxChars, language }
+ * @returns {Promise<object>} - { newsData (news get ai_text), intro, caption }
+ */
+export async function summarizeNews(pool, newsData, { brandName = 'ATASA', maxChars = DEFAULT_BULLET_MAX_CHARS, language } = {}) {
+  const openaiApiKey = await getOpenAIKey(pool);
+  if (!openaiApiKey) throw new Error('No OpenAI API key');
+
+  const items = newsData.categories.flatMap((cat, c) => cat.news.map((n, i) => ({
+    key: `${c}.${i}`,
+    category: cat.name,
+    title: n.title,
+    summary: n.summary || undefined,
+    source: n.source
+  })));
+
+  const res = await fetch('https://api.openai.com/v1/chat/completions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${openaiApiKey}` },
+    body: JSON.stringify({
+      model: 'gpt-4o-mini',
+      messages: [
+        { role: 'system', content: getSystemPrompt(maxChars, language) },
+        { role: 'user', content: JSON.stringify({ weekRange: newsData.weekRange, brand: brandName, items }) }
+      ],
+      response_format: { type: 'json_object' },
+      temperature: 0.4,
+      max_tokens: 4000
+    })
+  });
+  const data = await res.json();
+  if (data.error) throw new Error(data.error.message);
+
+  const content = JSON.parse(data.choices[0].message.content);
+  const texts = new Map((content.items || []).filter(item => item?.key && item.text).map(item => [item.key, item.text]));
+
+  return {
+    newsData: {
+      ...newsData,
+      categories: newsData.categories.map((cat, c) => ({
+        ...cat,
+        news: cat.news.map((n, i) => {
+          const text = texts.get(`${c}.${i}`);
+          return text ? { ...n, ai_text: truncateText(text, maxChars) } : n;
+        })
+      }))
+    },
+    intro: content.intro ? String(content.intro).trim() : null,
+    caption: content.caption ? String(content.caption).trim() : null
+  };
+}
+
+/**
+ * Keep generated bullets next to the stored news_items they came from
+ * @param {object} pool - pg Pool
+ * @param {object} newsData - News data returned by summarizeNews
+ */
+export async function saveNewsItemTexts(pool, newsData) {
+  for (const n of newsData.categories.flatMap(cat => cat.news)) {
+    if (n.id && n.ai_text) {
+      await pool.query('UPDATE news_items SET ai_text = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [n.ai_text, n.id]);
+    }
+  }
+}
+
+/**
+ * Put the original (pre-LLM) text back on a carousel's slides and/or caption
+ * @param {object} carousel - carousel_posts row
+ * @param {string} part - all | items | intro | caption
+ * @returns {object} - { slides, caption }
+ */
+export function revertGeneratedText(carousel, part = 'all') {
+  const slides = typeof carousel.slides === 'string' ? JSON.parse(carousel.slides) : carousel.slides;
+
+  const revertedSlides = slides.map(slide => {
+    if (slide.type === 'category' && (part === 'all' || part === 'items')) {
+      return {
+        ...slide,
+        items: slide.items.map(({ original_text, ...item }) => (original_text ? { ...item, text: original_text } : item))
+      };
+    }
+    if (slide.type === 'intro' && slide.original_content && (part === 'all' || part === 'intro')) {
+      const { original_content, ...intro } = slide;
+      return { ...intro, content: original_content };
+    }
+    return slide;
+  });
+
+  const revertCaption = carousel.original_caption && (part === 'all' || part === 'caption');
+  return { slides: revertedSlides, caption: revertCaption ? carousel.original_caption : carousel.caption };
+}
+
+/**
+ * Setup Express routes for generated text
+ */
+export function setupNewsSummarizerRoutes(app, pool) {
+
+  // Revert generated bullets/intro/caption to the original text (body: part = all|items|intro|caption)
+  app.post('/api/carousel/:id/revert-ai', async (req, res) => {
+    try {
+      const part = req.body.part || 'all';
+      if (!['all', 'items', 'intro', 'caption'].includes(part)) {
+        return res.status(400).json({ error: 'part must be one of: all, items, intro, caption' });
+      }
+
+      const existing = await pool.query('SELECT * FROM carousel_posts WHERE id = $1', [req.params.id]);
+      if (existing.rows.length === 0) return res.status(404).json({ error: 'Carousel not found' });
+
+      const carousel = existing.rows[0];
+      const { slides, caption } = revertGeneratedText(carousel, part);
+      const result = await pool.query(
+        `UPDATE carousel_posts SET
+          slides = $1,
+          caption = $2,
+          original_caption = CASE WHEN $3::boolean THEN NULL ELSE original_caption END,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4 RETURNING *`,
+        [JSON.stringify(slides), caption, caption !== carousel.caption, req.params.id]
+      );
+      await invalidateCarouselRenders(req.params.id);
+
+      res.json({ success: true, carousel: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
@@ -0,0 +1,346 @@
+// Instagram publish jobs (ig_publish_jobs)
+// POST /api/instagram/publish/:carouselId only queues a job; the worker runs the Graph API flow
+// step by step and saves each container id as soon as it exists:
+// queued → uploading_slides → creating_containers → waiting_for_containers → creating_carousel → publishing → done
+// (publishing → finding_media → done when the post was published but its media id wasn't found yet)
+// A job whose worker died (no progress for STALE_JOB_MINUTES) is claimed again and continues
+// from its saved containers instead of creating them again.
+
+import {
+  createMediaContainer,
+  createCarouselContainer,
+  waitForContainerReady,
+  publishContainer,
+  getPublishCaption,
+  markTokenInvalid,
+  INVALID_TOKEN_ERROR_CODE
+} from './instagram-publisher.js';
+import { storeCarouselSlides } from './media-storage.js';
+import { decryptToken } from './token-crypto.js';
+
+// A running job without progress for this long is considered abandoned (crash, redeploy)
+const STALE_JOB_MINUTES = 10;
+// Jobs that keep taking the worker down are failed after this many claims
+const MAX_JOB_ATTEMPTS = 3;
+// A published post whose media id wasn't found is looked up again on later passes, this many times
+const MAX_MEDIA_LOOKUPS = 3;
+// ...at most once per this many minutes (Instagram can list a new post with a delay)
+const MEDIA_LOOKUP_DELAY_MINUTES = 1;
+const MEDIA_NOT_FOUND_MESSAGE = 'Published, but the media id was not found; Insights cannot be synced';
+// PostgreSQL unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+let isRunning = false;
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Atomically claim the next pending or abandoned job (FOR UPDATE SKIP LOCKED, as in the scheduler).
+ * A job put back to pending for a media lookup (locked_at set) waits MEDIA_LOOKUP_DELAY_MINUTES.
+ * @param {object} pool - pg Pool
+ * @returns {Promise<object|null>} - Claimed ig_publish_jobs row
+ */
+async function claimNextPublishJob(pool) {
+  const result = await pool.query(
+    `UPDATE ig_publish_jobs SET
+      status = 'running',
+      attempts = attempts + 1,
+      started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+      locked_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM ig_publish_jobs
+       WHERE (status = 'pending' AND (locked_at IS NULL OR locked_at < NOW() - make_interval(mins => $2)))
+          OR (status = 'running' AND locked_at < NOW() - make_interval(mins => $1))
+       ORDER BY created_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [STALE_JOB_MINUTES, MEDIA_LOOKUP_DELAY_MINUTES]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Save job progress; every update also renews the job's lock
+ * @param {object} pool - pg Pool
+ * @param {number} jobId - ig_publish_jobs id
+ * @param {object} fields - Columns to set (arrays are stored as JSON)
+ * @returns {Promise<object>} - Updated ig_publish_jobs row
+ */
+async function updatePublishJob(pool, jobId, fields) {
+  const keys = Object.keys(fields);
+  const values = keys.map(key => (Array.isArray(fields[key]) ? JSON.stringify(fields[key]) : fields[key]));
+  const sets = [...keys.map((key, i) => `${key} = $${i + 1}`), 'locked_at = CURRENT_TIMESTAMP', 'updated_at = CURRENT_TIMESTAMP'];
+
+  const result = await pool.query(
+    `UPDATE ig_publish_jobs SET ${sets.join(', ')} WHERE id = $${keys.length + 1} RETURNING *`,
+    [...values, jobId]
+  );
+
+  return result.rows[0];
+}
+
+async function markPublishJobFailed(pool, jobId, message) {
+  await pool.query(
+    `UPDATE ig_publish_jobs SET status = 'failed', error_message = $1, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+    [message, jobId]
+  );
+}
+
+/**
+ * Queue a publish job for a carousel. The partial unique index on active jobs
+ * (idx_publish_jobs_active_carousel) makes concurrent requests for one carousel queue a single job.
+ * @param {object} pool - pg Pool
+ * @param {number|string} tenantId - Tenant ID
+ * @param {number|string} carouselId - carousel_posts id
+ * @returns {Promise<object>} - { job, alreadyActive }; job is the active job when alreadyActive
+ */
+export async function queuePublishJob(pool, tenantId, carouselId) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO ig_publish_jobs (tenant_id, carousel_id) VALUES ($1, $2) RETURNING *`,
+      [tenantId, carouselId]
+    );
+    return { job: result.rows[0], alreadyActive: false };
+  } catch (error) {
+    if (error.code !== UNIQUE_VIOLATION) throw error;
+    const active = await pool.query(
+      `SELECT * FROM ig_publish_jobs WHERE carousel_id = $1 AND status IN ('pending', 'running')`,
+      [carouselId]
+    );
+    // The active job may have finished in between; queue again
+    if (active.rows.length === 0) return queuePublishJob(pool, tenantId, carouselId);
+    return { job: active.rows[0], alreadyActive: true };
+  }
+}
+
+/**
+ * Run (or continue) a claimed job. Steps already recorded on the row are skipped.
+ * A container created right before a crash but not yet saved is created again;
+ * unpublished containers expire on their own.
+ * @param {object} pool - pg Pool
+ * @param {object} job - ig_publish_jobs row in 'running' state
+ * @returns {Promise<object>} - Finished ig_publish_jobs row
+ */
+export async function runPublishJob(pool, job) {
+  if (job.attempts > MAX_JOB_ATTEMPTS) {
+    throw new Error(`Publish job abandoned after ${MAX_JOB_ATTEMPTS} attempts`);
+  }
+
+  const tenantResult = await pool.query('SELECT * FROM ig_tenants WHERE id = $1', [job.tenant_id]);
+  const tenant = tenantResult.rows[0];
+  if (!tenant || !tenant.ig_access_token || !tenant.ig_user_id) {
+    throw new Error('Instagram not connected for this tenant');
+  }
+
+  const accessToken = decryptToken(tenant.ig_access_token);
+  const igUserId = tenant.ig_user_id;
+
+  try {
+    // Step 1: upload the rendered slides once; Instagram fetches the stored URLs
+    if (!job.image_urls) {
+      job = await updatePublishJob(pool, job.id, { step: 'uploading_slides' });
+
+      const carouselResult = await pool.query('SELECT * FROM carousel_posts WHERE id = $1', [job.carousel_id]);
+      if (carouselResult.rows.length === 0) throw new Error('Carousel not found');
+      const carousel = carouselResult.rows[0];
+      if (carousel.status === 'published') throw new Error('Carousel is already published');
+
+      const imageUrls = await storeCarouselSlides(pool, carousel);
+      if (imageUrls.length < 2) throw new Error('Carousel requires at least 2 images');
+      if (imageUrls.length > 10) throw new Error('Carousel cannot have more than 10 images');
+
+      job = await updatePublishJob(pool, job.id, { image_urls: imageUrls, caption: getPublishCaption(carousel, tenant) });
+    }
+
+    const imageUrls = parseJson(job.image_urls);
+    const childContainerIds = parseJson(job.child_container_ids) || [];
+
+    // Step 2: one child container per image, saved one by one
+    if (childContainerIds.length < imageUrls.length) {
+      job = await updatePublishJob(pool, job.id, { step: 'creating_containers' });
+      for (let i = childContainerIds.length; i < imageUrls.length; i++) {
+        childContainerIds.push(await createMediaContainer(accessToken, igUserId, imageUrls[i]));
+        job = await updatePublishJob(pool, job.id, { child_container_ids: childContainerIds });
+        console.log(`  ✓ Job ${job.id} container ${i + 1}/${imageUrls.length}: ${childContainerIds[i]}`);
+      }
+    }
+
+    // Steps 3-4: wait for the children, then create the carousel container
+    if (!job.carousel_container_id) {
+      job = await updatePublishJob(pool, job.id, { step: 'waiting_for_containers' });
+      for (const containerId of childContainerIds) {
+        await waitForContainerReady(accessToken, containerId);
+        await updatePublishJob(pool, job.id, {});
+      }
+
+      job = await updatePublishJob(pool, job.id, { step: 'creating_carousel' });
+      const carouselContainerId = await createCarouselContainer(accessToken, igUserId, childContainerIds, job.caption);
+      job = await updatePublishJob(pool, job.id, { carousel_container_id: carouselContainerId });
+    }
+
+    // Step 5: publish. A job resumed after Instagram accepted the publish finds the container
+    // PUBLISHED; publishContainer then looks the post up by caption instead of publishing it again.
+    await waitForContainerReady(accessToken, job.carousel_container_id);
+    job = await updatePublishJob(pool, job.id, { step: 'publishing' });
+    const mediaId = await publishContainer(accessToken, igUserId, job.carousel_container_id, job.caption);
+
+    await pool.query(
+      `UPDATE carousel_posts SET
+        status = 'published',
+        published_at = COALESCE(published_at, CURRENT_TIMESTAMP),
+        ig_media_id = $1,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2`,
+      [mediaId, job.carousel_id]
+    );
+
+    // Published, but the post wasn't found by caption: look again on a later pass. The lookup
+    // pass doesn't count as a crash claim, so attempts is given back.
+    if (!mediaId) {
+      const lookups = job.media_lookup_attempts + 1;
+      console.warn(`⚠️ Publish job ${job.id}: container was already published, its media id was not found (lookup ${lookups}/${MAX_MEDIA_LOOKUPS})`);
+      if (lookups < MAX_MEDIA_LOOKUPS) {
+        return await updatePublishJob(pool, job.id, {
+          status: 'pending',
+          step: 'finding_media',
+          attempts: job.attempts - 1,
+          media_lookup_attempts: lookups,
+          error_message: MEDIA_NOT_FOUND_MESSAGE
+        });
+      }
+    }
+
+    console.log(`✅ Publish job ${job.id}: carousel ${job.carousel_id} published (${mediaId || 'media id unknown'})`);
+    return await updatePublishJob(pool, job.id, {
+      status: 'succeeded',
+      step: 'done',
+      ig_media_id: mediaId,
+      // Kept on a job that gave up on the lookup, so the missing media id stays visible
+      error_message: mediaId ? null : MEDIA_NOT_FOUND_MESSAGE,
+      finished_at: new Date()
+    });
+  } catch (error) {
+    if (error.code === INVALID_TOKEN_ERROR_CODE) await markTokenInvalid(pool, tenant.id, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Work through pending jobs and take over abandoned ones.
+ * Graph API calls already retry transient failures, so a failure here is final.
+ * @param {object} pool - pg Pool
+ */
+export async function checkPublishJobs(pool) {
+  // Jobs queued during a run are picked up by the same loop
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    let job;
+    while ((job = await claimNextPublishJob(pool))) {
+      try {
+        await runPublishJob(pool, job);
+      } catch (error) {
+        console.error(`❌ Publish job ${job.id} (carousel ${job.carousel_id}) failed:`, error.message);
+        await markPublishJobFailed(pool, job.id, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Publish job check error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Setup Express routes for Instagram publish jobs
+ */
+export function setupPublishJobRoutes(app, pool) {
+
+  // Queue a carousel for publishing (body: tenantId); returns the job id right away
+  app.post('/api/instagram/publish/:carouselId', async (req, res) => {
+    try {
+      const { carouselId } = req.params;
+      const { tenantId } = req.body;
+
+      const tenantResult = await pool.query('SELECT ig_access_token, ig_user_id FROM ig_tenants WHERE id = $1', [tenantId]);
+      if (tenantResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      if (!tenantResult.rows[0].ig_access_token || !tenantResult.rows[0].ig_user_id) {
+        return res.status(400).json({ error: 'Instagram not connected for this tenant' });
+      }
+
+      const carouselResult = await pool.query('SELECT format, status FROM carousel_posts WHERE id = $1 AND tenant_id = $2', [carouselId, tenantId]);
+      if (carouselResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Carousel not found' });
+      }
+      if (carouselResult.rows[0].status === 'published') {
+        return res.status(409).json({ error: 'This carousel is already published' });
+      }
+      // Feed carousels only accept square or 4:5 images
+      if (carouselResult.rows[0].format === 'story') {
+        return res.status(400).json({ error: 'Story format carousels cannot be published as a feed carousel' });
+      }
+
+      const { job, alreadyActive } = await queuePublishJob(pool, tenantId, carouselId);
+      if (alreadyActive) {
+        return res.status(409).json({ error: 'This carousel is already being published', jobId: job.id });
+      }
+
+      // Start now instead of waiting for the next poll
+      checkPublishJobs(pool);
+
+      res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        step: job.step,
+        statusUrl: `/api/instagram/publish-jobs/${job.id}`
+      });
+    } catch (error) {
+      console.error('Instagram publish error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Job progress: current step and the containers created so far
+  app.get('/api/instagram/publish-jobs/:jobId', async (req, res) => {
+    try {
+      const result = await pool.query('SELECT * FROM ig_publish_jobs WHERE id = $1', [req.params.jobId]);
+      if (result.rows.length === 0) return res.status(404).json({ error: 'Publish job not found' });
+
+      const job = result.rows[0];
+      const imageUrls = parseJson(job.image_urls);
+      const childContainerIds = parseJson(job.child_container_ids) || [];
+
+      res.json({
+        id: job.id,
+        tenantId: job.tenant_id,
+        carouselId: job.carousel_id,
+        status: job.status,
+        step: job.step,
+        imageCount: imageUrls ? imageUrls.length : null,
+        childContainerIds,
+        carouselContainerId: job.carousel_container_id,
+        mediaId: job.ig_media_id,
+        // Carousel is on Instagram but its post wasn't found (still looking while step is finding_media)
+        mediaIdMissing: ['finding_media', 'done'].includes(job.step) && !job.ig_media_id,
+        error: job.error_message,
+        attempts: job.attempts,
+        createdAt: job.created_at,
+        startedAt: job.started_at,
+        updatedAt: job.updated_at,
+        finishedAt: job.finished_at
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
@@ -0,0 +1,90 @@
+// Persistent cache for rendered slide PNGs
+// Keyed by a hash of everything that affects the image (slide JSON, template, branding, format, language),
+// grouped per carousel so a carousel's renders can be dropped at once.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Bump when generateSlideHTML output changes so old PNGs are not served
+const RENDER_CACHE_VERSION = 5;
+
+const CACHE_DIR = process.env.RENDER_CACHE_DIR || path.join(process.cwd(), 'data', 'render-cache');
+
+// Template columns that change the rendered image
+const TEMPLATE_RENDER_FIELDS = ['background_color', 'text_color', 'accent_color', 'font_family', 'cover_style', 'intro_style', 'category_style'];
+
+/**
+ * Local filesystem store. Any object with the same get/put/removePrefix
+ * methods can replace it via setRenderCacheStore().
+ */
+export const diskCacheStore = {
+  async get(key) {
+    try {
+      return await fs.readFile(path.join(CACHE_DIR, key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async put(key, buffer) {
+    const file = path.join(CACHE_DIR, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename so a concurrent reader never sees a half-written PNG
+    const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpFile, buffer);
+    await fs.rename(tmpFile, file);
+  },
+
+  async removePrefix(prefix) {
+    await fs.rm(path.join(CACHE_DIR, prefix), { recursive: true, force: true });
+  }
+};
+
+let store = diskCacheStore;
+
+export function setRenderCacheStore(cacheStore) {
+  store = cacheStore;
+}
+
+function carouselPrefix(carouselId) {
+  return `carousel_${parseInt(carouselId)}`;
+}
+
+/**
+ * Content hash for one rendered slide
+ * @param {object} slide - Slide JSON
+ * @param {object} options - Render options { template, branding, format, language }
+ * @returns {string} - Hex hash, also used as the ETag
+ */
+export function getRenderCacheKey(slide, { template = null, branding = null, format = 'square', language = null } = {}) {
+  const templateFields = template
+    ? Object.fromEntries(TEMPLATE_RENDER_FIELDS.map(field => [field, template[field] ?? null]))
+    : null;
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ v: RENDER_CACHE_VERSION, slide, template: templateFields, branding, format, language }))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+export async function getCachedRender(carouselId, key) {
+  return store.get(`${carouselPrefix(carouselId)}/${key}.png`);
+}
+
+export async function putCachedRender(carouselId, key, buffer) {
+  await store.put(`${carouselPrefix(carouselId)}/${key}.png`, buffer);
+}
+
+/**
+ * Drop every cached render of a carousel (after its slides change or it is deleted)
+ */
+export async function invalidateCarouselRenders(carouselId) {
+  try {
+    await store.removePrefix(carouselPrefix(carouselId));
+  } catch (error) {
+    console.error(`Render cache invalidation error for carousel ${carouselId}:`, error.message);
+  }
+}
@@ -0,0 +1,356 @@
+// Scheduled Instagram Carousel Publisher
+// Due ig_scheduled_posts rows are handed to the publish job queue (ig_publish_jobs):
+// pending → processing (job queued) → published/failed once the linked job finishes
+// Cancelled posts keep their row (status = 'cancelled') for history
+
+import { queuePublishJob, checkPublishJobs } from './publish-jobs.js';
+
+// A post left in 'processing' without a job this long (the worker crashed before queuing it) is claimed again
+const STALE_CLAIM_MINUTES = 10;
+
+// PostgreSQL unique_violation (idx_scheduled_posts_active_carousel)
+const UNIQUE_VIOLATION = '23505';
+
+let isRunning = false;
+
+/**
+ * Atomically claim the next due scheduled post, or one whose claim went stale.
+ * FOR UPDATE SKIP LOCKED lets several API instances poll the same table
+ * without two of them picking up the same row.
+ * @param {object} pool - pg Pool
+ * @returns {Promise<object|null>} - Claimed ig_scheduled_posts row
+ */
+async function claimNextScheduledPost(pool) {
+  const result = await pool.query(
+    `UPDATE ig_scheduled_posts SET status = 'processing', locked_at = CURRENT_TIMESTAMP, error_message = NULL
+     WHERE id = (
+       SELECT id FROM ig_scheduled_posts
+       WHERE (status = 'pending' AND scheduled_at <= NOW())
+          OR (status = 'processing' AND publish_job_id IS NULL
+              AND (locked_at IS NULL OR locked_at < NOW() - make_interval(mins => $1)))
+       ORDER BY scheduled_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [STALE_CLAIM_MINUTES]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function markScheduledPostFailed(pool, postId, message) {
+  await pool.query(
+    `UPDATE ig_scheduled_posts SET status = 'failed', error_message = $1 WHERE id = $2`,
+    [message, postId]
+  );
+}
+
+/**
+ * Queue a publish job for a claimed scheduled post and link the post to it.
+ * A job already running for the carousel (e.g. a manual publish) is linked instead of queuing another.
+ * @param {object} pool - pg Pool
+ * @param {object} post - ig_scheduled_posts row in 'processing' state
+ */
+async function queueScheduledPost(pool, post) {
+  const tenantResult = await pool.query('SELECT * FROM ig_tenants WHERE id = $1', [post.tenant_id]);
+  const tenant = tenantResult.rows[0];
+
+  if (!tenant || !tenant.ig_access_token || !tenant.ig_user_id) {
+    await markScheduledPostFailed(pool, post.id, 'Instagram not connected');
+    return;
+  }
+
+  const carouselResult = await pool.query(
+    'SELECT * FROM carousel_posts WHERE id = $1 AND tenant_id = $2',
+    [post.carousel_id, post.tenant_id]
+  );
+
+  if (carouselResult.rows.length === 0) {
+    await markScheduledPostFailed(pool, post.id, 'Carousel not found');
+    return;
+  }
+
+  const carousel = carouselResult.rows[0];
+  if (carousel.format === 'story') {
+    await markScheduledPostFailed(pool, post.id, 'Story format carousels cannot be published as a feed carousel');
+    return;
+  }
+
+  // Published in the meantime (manual publish, or this post's job before a crash)
+  if (carousel.status === 'published') {
+    await pool.query(
+      `UPDATE ig_scheduled_posts SET status = 'published', ig_media_id = $1, published_at = COALESCE($2, CURRENT_TIMESTAMP) WHERE id = $3`,
+      [carousel.ig_media_id, carousel.published_at, post.id]
+    );
+    return;
+  }
+
+  const { job } = await queuePublishJob(pool, post.tenant_id, post.carousel_id);
+  await pool.query('UPDATE ig_scheduled_posts SET publish_job_id = $1 WHERE id = $2', [job.id, post.id]);
+
+  console.log(`📸 Scheduled carousel ${post.carousel_id} queued as publish job ${job.id}`);
+}
+
+/**
+ * Copy the outcome of finished publish jobs to the scheduled posts linked to them
+ * @param {object} pool - pg Pool
+ */
+async function syncFinishedPublishJobs(pool) {
+  const result = await pool.query(
+    `UPDATE ig_scheduled_posts sp SET
+      status = CASE WHEN j.status = 'succeeded' THEN 'published' ELSE 'failed' END,
+      ig_media_id = j.ig_media_id,
+      published_at = CASE WHEN j.status = 'succeeded' THEN j.finished_at END,
+      error_message = j.error_message
+     FROM ig_publish_jobs j
+     WHERE sp.publish_job_id = j.id AND sp.status = 'processing' AND j.status IN ('succeeded', 'failed')
+     RETURNING sp.carousel_id, sp.status, sp.ig_media_id`
+  );
+
+  for (const post of result.rows) {
+    if (post.status === 'published') console.log(`✅ Scheduled carousel ${post.carousel_id} published: ${post.ig_media_id}`);
+    else console.error(`❌ Scheduled carousel ${post.carousel_id} failed`);
+  }
+}
+
+/**
+ * Queue every scheduled post that is due and record the result of finished jobs.
+ * The publish itself runs in the publish job worker, which resumes it after a crash.
+ * @param {object} pool - pg Pool
+ */
+export async function checkScheduledCarouselPosts(pool) {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    await syncFinishedPublishJobs(pool);
+
+    let post;
+    let queued = 0;
+    while ((post = await claimNextScheduledPost(pool))) {
+      try {
+        await queueScheduledPost(pool, post);
+        queued++;
+      } catch (error) {
+        console.error(`❌ Scheduled carousel ${post.carousel_id} failed:`, error.message);
+        await markScheduledPostFailed(pool, post.id, error.message);
+      }
+    }
+
+    // Start the queued jobs now instead of waiting for the next job poll
+    if (queued > 0) checkPublishJobs(pool);
+  } catch (error) {
+    console.error('Scheduled post check error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Validate a requested publish time
+ * @param {string} scheduledAt - Requested publish time (ISO string)
+ * @returns {string|null} - Validation error message, null if valid
+ */
+function validateScheduledAt(scheduledAt) {
+  const scheduledDate = new Date(scheduledAt);
+  if (isNaN(scheduledDate.getTime())) return 'scheduled_at must be a valid date';
+  if (scheduledDate <= new Date()) return 'scheduled_at must be in the future';
+  return null;
+}
+
+/**
+ * Validate that a carousel belongs to the tenant and is publishable
+ * (publishCarousel accepts 2-10 images)
+ * @param {object} pool - pg Pool
+ * @param {number|string} tenantId - Tenant ID
+ * @param {number|string} carouselId - Carousel ID
+ * @returns {Promise<string|null>} - Validation error message, null if valid
+ */
+async function validateCarousel(pool, tenantId, carouselId) {
+  const carouselResult = await pool.query(
+    'SELECT slides FROM carousel_posts WHERE id = $1 AND tenant_id = $2',
+    [carouselId, tenantId]
+  );
+  if (carouselResult.rows.length === 0) return 'Carousel not found for this tenant';
+
+  const carousel = carouselResult.rows[0];
+  const slides = typeof carousel.slides === 'string' ? JSON.parse(carousel.slides) : carousel.slides;
+  if (!slides || slides.length < 2 || slides.length > 10) {
+    return `Carousel must have 2-10 slides (has ${slides ? slides.length : 0})`;
+  }
+
+  return null;
+}
+
+/**
+ * Respond 404 or 409 after a conditional UPDATE matched no rows
+ */
+async function sendStatusConflict(pool, res, postId, allowedStatus) {
+  const existing = await pool.query('SELECT status FROM ig_scheduled_posts WHERE id = $1', [postId]);
+  if (existing.rows.length === 0) return res.status(404).json({ error: 'Scheduled post not found' });
+  res.status(409).json({ error: `Only ${allowedStatus} posts can be changed (current status: ${existing.rows[0].status})` });
+}
+
+/**
+ * Setup Express routes for scheduled Instagram posts
+ */
+export function setupSchedulerRoutes(app, pool) {
+
+  // Schedule a carousel for a tenant
+  app.post('/api/scheduler/posts', async (req, res) => {
+    try {
+      const { tenant_id, carousel_id, scheduled_at } = req.body;
+      if (!tenant_id || !carousel_id || !scheduled_at) {
+        return res.status(400).json({ error: 'tenant_id, carousel_id, scheduled_at required' });
+      }
+
+      const validationError = validateScheduledAt(scheduled_at) || await validateCarousel(pool, tenant_id, carousel_id);
+      if (validationError) return res.status(400).json({ error: validationError });
+
+      let result;
+      try {
+        result = await pool.query(
+          `INSERT INTO ig_scheduled_posts (tenant_id, carousel_id, scheduled_at) VALUES ($1, $2, $3) RETURNING *`,
+          [tenant_id, carousel_id, scheduled_at]
+        );
+      } catch (error) {
+        if (error.code !== UNIQUE_VIOLATION) throw error;
+        return res.status(409).json({ error: 'This carousel is already scheduled; reschedule or cancel that post' });
+      }
+      await pool.query(
+        'UPDATE carousel_posts SET scheduled_at = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [scheduled_at, carousel_id]
+      );
+
+      res.status(201).json({ success: true, scheduledPost: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // List a tenant's scheduled posts (?when=upcoming|past)
+  app.get('/api/scheduler/tenant/:tenantId', async (req, res) => {
+    try {
+      const { tenantId } = req.params;
+      const { when } = req.query;
+
+      let query = `SELECT sp.*, c.title AS carousel_title
+        FROM ig_scheduled_posts sp
+        JOIN carousel_posts c ON sp.carousel_id = c.id
+        WHERE sp.tenant_id = $1`;
+      if (when === 'upcoming') {
+        query += ` AND sp.status IN ('pending', 'processing') ORDER BY sp.scheduled_at ASC`;
+      } else if (when === 'past') {
+        query += ` AND sp.status IN ('published', 'failed', 'cancelled') ORDER BY sp.scheduled_at DESC`;
+      } else {
+        query += ' ORDER BY sp.scheduled_at DESC';
+      }
+
+      res.json((await pool.query(query, [tenantId])).rows);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get a single scheduled post
+  app.get('/api/scheduler/posts/:id', async (req, res) => {
+    try {
+      const result = await pool.query('SELECT * FROM ig_scheduled_posts WHERE id = $1', [req.params.id]);
+      if (result.rows.length === 0) return res.status(404).json({ error: 'Scheduled post not found' });
+      res.json(result.rows[0]);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Reschedule a pending post
+  app.put('/api/scheduler/posts/:id', async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { scheduled_at } = req.body;
+      if (!scheduled_at) return res.status(400).json({ error: 'scheduled_at required' });
+
+      const existing = await pool.query('SELECT * FROM ig_scheduled_posts WHERE id = $1', [id]);
+      if (existing.rows.length === 0) return res.status(404).json({ error: 'Scheduled post not found' });
+
+      const post = existing.rows[0];
+      const validationError = validateScheduledAt(scheduled_at) || await validateCarousel(pool, post.tenant_id, post.carousel_id);
+      if (validationError) return res.status(400).json({ error: validationError });
+
+      // Status check in the WHERE clause so we never touch a row the checker just claimed
+      const result = await pool.query(
+        `UPDATE ig_scheduled_posts SET scheduled_at = $1 WHERE id = $2 AND status = 'pending' RETURNING *`,
+        [scheduled_at, id]
+      );
+      if (result.rows.length === 0) return sendStatusConflict(pool, res, id, 'pending');
+
+      await pool.query(
+        'UPDATE carousel_posts SET scheduled_at = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [scheduled_at, post.carousel_id]
+      );
+
+      res.json({ success: true, scheduledPost: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Cancel a pending post
+  app.delete('/api/scheduler/posts/:id', async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await pool.query(
+        `UPDATE ig_scheduled_posts SET status = 'cancelled' WHERE id = $1 AND status = 'pending' RETURNING *`,
+        [id]
+      );
+      if (result.rows.length === 0) return sendStatusConflict(pool, res, id, 'pending');
+
+      await pool.query(
+        'UPDATE carousel_posts SET scheduled_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [result.rows[0].carousel_id]
+      );
+
+      res.json({ success: true, scheduledPost: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Retry a failed post, now or at a new time
+  app.post('/api/scheduler/posts/:id/retry', async (req, res) => {
+    try {
+      const { id } = req.params;
+      const existing = await pool.query('SELECT * FROM ig_scheduled_posts WHERE id = $1', [id]);
+      if (existing.rows.length === 0) return res.status(404).json({ error: 'Scheduled post not found' });
+
+      const post = existing.rows[0];
+      const scheduledAt = req.body.scheduled_at || null;
+
+      // Without scheduled_at the post is picked up on the next checker run
+      const validationError = (scheduledAt && validateScheduledAt(scheduledAt)) || await validateCarousel(pool, post.tenant_id, post.carousel_id);
+      if (validationError) return res.status(400).json({ error: validationError });
+
+      let result;
+      try {
+        result = await pool.query(
+          `UPDATE ig_scheduled_posts SET
+            status = 'pending',
+            scheduled_at = COALESCE($1, NOW()),
+            error_message = NULL,
+            publish_job_id = NULL
+          WHERE id = $2 AND status = 'failed' RETURNING *`,
+          [scheduledAt, id]
+        );
+      } catch (error) {
+        if (error.code !== UNIQUE_VIOLATION) throw error;
+        return res.status(409).json({ error: 'This carousel already has another scheduled post' });
+      }
+      if (result.rows.length === 0) return sendStatusConflict(pool, res, id, 'failed');
+
+      res.json({ success: true, scheduledPost: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
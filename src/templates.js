@@ -0,0 +1,220 @@
+// Carousel Design Templates (ig_templates) CRUD + live preview
+
+import { renderSlidesToImages, createImagesZip, getBranding, isValidFormat } from './carousel-render.js';
+import { generateDemoNews, createSlidesWithBrand } from './carousel-content.js';
+
+const COLOR_FIELDS = ['background_color', 'text_color', 'accent_color'];
+const STYLE_FIELDS = ['cover_style', 'intro_style', 'category_style'];
+
+/**
+ * Validate template fields from a request body (all optional)
+ * @param {object} body - Request body
+ * @returns {string|null} - Validation error message, null if valid
+ */
+function validateTemplateInput(body) {
+  for (const field of COLOR_FIELDS) {
+    if (body[field] !== undefined && body[field] !== null && !/^#[0-9a-fA-F]{6}$/.test(body[field])) {
+      return `${field} must be a hex color like #1A2B3C`;
+    }
+  }
+
+  for (const field of STYLE_FIELDS) {
+    const value = body[field];
+    if (value !== undefined && value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+      return `${field} must be an object`;
+    }
+  }
+
+  if (body.font_family !== undefined && body.font_family !== null && !/^[A-Za-z0-9 ]{1,100}$/.test(body.font_family)) {
+    return 'font_family must be a Google Fonts family name';
+  }
+
+  return null;
+}
+
+// Templates a tenant may use: public ones plus its own
+async function getVisibleTemplate(pool, id, tenantId) {
+  const result = await pool.query(
+    'SELECT * FROM ig_templates WHERE id = $1 AND (is_public = TRUE OR created_by = $2)',
+    [id, tenantId || null]
+  );
+  return result.rows[0] || null;
+}
+
+// Demo carousel used to preview a template without touching real data, in the tenant's content language
+function getSampleSlides(branding, format) {
+  const language = branding?.content_language;
+  return createSlidesWithBrand(generateDemoNews(language), branding?.brand_name || 'ATASA', { format, language });
+}
+
+/**
+ * Render the sample carousel through a template and send PNG (one slide) or ZIP (all).
+ * Passing a tenant's branding previews the slides with their logo/wordmark.
+ */
+async function sendPreview(res, template, slideNumber, branding = null, format = 'square') {
+  const options = { template, branding, format: isValidFormat(format) ? format : 'square' };
+  const slides = getSampleSlides(branding, options.format);
+
+  if (slideNumber) {
+    const slideIndex = parseInt(slideNumber) - 1;
+    if (isNaN(slideIndex) || slideIndex < 0 || slideIndex >= slides.length) {
+      return res.status(404).json({ error: 'Slide not found' });
+    }
+
+    const images = await renderSlidesToImages([slides[slideIndex]], options);
+    res.set('Content-Type', 'image/png');
+    res.set('Content-Disposition', `inline; filename="preview_${slideNumber}.png"`);
+    return res.send(images[0].buffer);
+  }
+
+  const images = await renderSlidesToImages(slides, options);
+  const zipBuffer = await createImagesZip(images, `Template preview - ${template.name || 'unsaved'}`);
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', `attachment; filename="template_preview_${Date.now()}.zip"`);
+  res.set('Content-Length', zipBuffer.length);
+  res.send(zipBuffer);
+}
+
+/**
+ * Setup Express routes for carousel templates
+ */
+export function setupTemplateRoutes(app, pool) {
+
+  // List public templates plus the tenant's own (?tenant_id=)
+  app.get('/api/templates', async (req, res) => {
+    try {
+      const { tenant_id } = req.query;
+      const result = await pool.query(
+        'SELECT * FROM ig_templates WHERE is_public = TRUE OR created_by = $1 ORDER BY is_public DESC, created_at DESC',
+        [tenant_id || null]
+      );
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Render an unsaved template (fields in body) so designers can iterate before saving
+  app.post('/api/templates/preview', async (req, res) => {
+    try {
+      const validationError = validateTemplateInput(req.body);
+      if (validationError) return res.status(400).json({ error: validationError });
+
+      const branding = await getBranding(pool, req.body.tenant_id);
+      await sendPreview(res, req.body, req.body.slideNumber, branding, req.body.format);
+    } catch (error) {
+      console.error('Template preview error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/templates/:id', async (req, res) => {
+    try {
+      const template = await getVisibleTemplate(pool, req.params.id, req.query.tenant_id);
+      if (!template) return res.status(404).json({ error: 'Template not found' });
+      res.json(template);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Preview a saved template: ZIP of all sample slides, or one PNG
+  app.get('/api/templates/:id/preview/:slideNumber?', async (req, res) => {
+    try {
+      const template = await getVisibleTemplate(pool, req.params.id, req.query.tenant_id);
+      if (!template) return res.status(404).json({ error: 'Template not found' });
+
+      const branding = await getBranding(pool, req.query.tenant_id);
+      await sendPreview(res, template, req.params.slideNumber, branding, req.query.format);
+    } catch (error) {
+      console.error('Template preview error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/templates', async (req, res) => {
+    try {
+      const { tenant_id, name, description, cover_style, intro_style, category_style, background_color, text_color, accent_color, font_family } = req.body;
+      if (!tenant_id || !name) return res.status(400).json({ error: 'tenant_id, name required' });
+
+      const validationError = validateTemplateInput(req.body);
+      if (validationError) return res.status(400).json({ error: validationError });
+
+      const result = await pool.query(
+        `INSERT INTO ig_templates (name, description, cover_style, intro_style, category_style, background_color, text_color, accent_color, font_family, is_public, created_by)
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6, '#FFFFFF'), COALESCE($7, '#000000'), COALESCE($8, '#0066FF'), COALESCE($9, 'Inter'), FALSE, $10) RETURNING *`,
+        [name, description || null, JSON.stringify(cover_style || {}), JSON.stringify(intro_style || {}), JSON.stringify(category_style || {}), background_color, text_color, accent_color, font_family, tenant_id]
+      );
+      res.status(201).json({ success: true, template: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Copy a public (or own) template into the tenant's templates
+  app.post('/api/templates/:id/clone', async (req, res) => {
+    try {
+      const { tenant_id, name } = req.body;
+      if (!tenant_id) return res.status(400).json({ error: 'tenant_id required' });
+
+      const source = await getVisibleTemplate(pool, req.params.id, tenant_id);
+      if (!source) return res.status(404).json({ error: 'Template not found' });
+
+      const result = await pool.query(
+        `INSERT INTO ig_templates (name, description, cover_style, intro_style, category_style, background_color, text_color, accent_color, font_family, is_public, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, FALSE, $10) RETURNING *`,
+        [name || `${source.name} (kopya)`, source.description, JSON.stringify(source.cover_style || {}), JSON.stringify(source.intro_style || {}), JSON.stringify(source.category_style || {}), source.background_color, source.text_color, source.accent_color, source.font_family, tenant_id]
+      );
+      res.status(201).json({ success: true, template: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Edit one of the tenant's own templates
+  app.put('/api/templates/:id', async (req, res) => {
+    try {
+      const { tenant_id, name, description, cover_style, intro_style, category_style, background_color, text_color, accent_color, font_family } = req.body;
+      if (!tenant_id) return res.status(400).json({ error: 'tenant_id required' });
+
+      const validationError = validateTemplateInput(req.body);
+      if (validationError) return res.status(400).json({ error: validationError });
+
+      const result = await pool.query(
+        `UPDATE ig_templates SET
+          name = COALESCE($1, name),
+          description = COALESCE($2, description),
+          cover_style = COALESCE($3, cover_style),
+          intro_style = COALESCE($4, intro_style),
+          category_style = COALESCE($5, category_style),
+          background_color = COALESCE($6, background_color),
+          text_color = COALESCE($7, text_color),
+          accent_color = COALESCE($8, accent_color),
+          font_family = COALESCE($9, font_family)
+        WHERE id = $10 AND created_by = $11 RETURNING *`,
+        [name, description, cover_style ? JSON.stringify(cover_style) : null, intro_style ? JSON.stringify(intro_style) : null, category_style ? JSON.stringify(category_style) : null, background_color, text_color, accent_color, font_family, req.params.id, tenant_id]
+      );
+      if (result.rows.length === 0) return res.status(404).json({ error: 'Template not found' });
+      res.json({ success: true, template: result.rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete one of the tenant's own templates; carousels using it fall back to the default design
+  app.delete('/api/templates/:id', async (req, res) => {
+    try {
+      const tenantId = req.query.tenant_id || req.body?.tenant_id;
+      if (!tenantId) return res.status(400).json({ error: 'tenant_id required' });
+
+      const existing = await pool.query('SELECT id FROM ig_templates WHERE id = $1 AND created_by = $2', [req.params.id, tenantId]);
+      if (existing.rows.length === 0) return res.status(404).json({ error: 'Template not found' });
+
+      await pool.query('UPDATE carousel_posts SET template_id = NULL WHERE template_id = $1', [req.params.id]);
+      await pool.query('DELETE FROM ig_templates WHERE id = $1', [req.params.id]);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
@@ -0,0 +1,115 @@
+// Encryption at rest for tenant access tokens (ig_tenants.ig_access_token)
+// AES-256-GCM with keys from TOKEN_ENCRYPTION_KEYS ("keyId:base64Key,oldKeyId:base64Key").
+// The first key encrypts; the others only decrypt, so keys can be rotated by putting a new
+// key first and letting reencryptTenantTokens() move the stored tokens over.
+
+import crypto from 'crypto';
+
+const PREFIX = 'enc:v1';
+
+let keyring = null;
+let warnedPlaintext = false;
+
+function getKeyring() {
+  if (keyring) return keyring;
+
+  const keys = (process.env.TOKEN_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      const id = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+      if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(id)) throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like keyId:base64Key');
+      if (key.length !== 32) throw new Error(`Token encryption key ${id} must be 32 bytes (base64)`);
+      return { id, key };
+    });
+
+  keyring = { current: keys[0] || null, byId: new Map(keys.map(k => [k.id, k.key])) };
+  return keyring;
+}
+
+/**
+ * Encrypt a token with the current key: "enc:v1:keyId:iv:tag:ciphertext" (base64url parts).
+ * Without TOKEN_ENCRYPTION_KEYS tokens stay plaintext outside production.
+ * @param {string|null} token - Plaintext token
+ * @returns {string|null} - Value to store
+ */
+export function encryptToken(token) {
+  if (token === null || token === undefined) return null;
+
+  const { current } = getKeyring();
+  if (!current) {
+    if (process.env.NODE_ENV === 'production') throw new Error('TOKEN_ENCRYPTION_KEYS is not set');
+    if (!warnedPlaintext) console.warn('⚠️ TOKEN_ENCRYPTION_KEYS is not set, access tokens are stored in plaintext');
+    warnedPlaintext = true;
+    return token;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(token), 'utf8'), cipher.final()]);
+
+  return [PREFIX, current.id, iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), ciphertext.toString('base64url')].join(':');
+}
+
+/**
+ * Decrypt a stored token. Values without the "enc:v1" prefix are legacy plaintext and returned as is.
+ * @param {string|null} value - Stored ig_access_token
+ * @returns {string|null} - Plaintext token
+ */
+export function decryptToken(value) {
+  if (!value || !value.startsWith(`${PREFIX}:`)) return value || null;
+
+  const [, , keyId, iv, tag, ciphertext] = value.split(':');
+  const key = getKeyring().byId.get(keyId);
+  if (!key) throw new Error(`Unknown token encryption key: ${keyId}`);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+// Plaintext, or encrypted with a key other than the current one
+function needsReencryption(value) {
+  const { current } = getKeyring();
+  if (!current || !value) return false;
+  return !value.startsWith(`${PREFIX}:${current.id}:`);
+}
+
+/**
+ * Encrypt legacy plaintext tokens and move tokens from retired keys to the current key
+ * @param {object} pool - pg Pool
+ * @returns {Promise<number>} - Number of re-encrypted tokens
+ */
+export async function reencryptTenantTokens(pool) {
+  const result = await pool.query('SELECT id, ig_access_token FROM ig_tenants WHERE ig_access_token IS NOT NULL');
+  let count = 0;
+
+  for (const tenant of result.rows) {
+    if (!needsReencryption(tenant.ig_access_token)) continue;
+    try {
+      const token = decryptToken(tenant.ig_access_token);
+      await pool.query(
+        'UPDATE ig_tenants SET ig_access_token = $1 WHERE id = $2 AND ig_access_token = $3',
+        [encryptToken(token), tenant.id, tenant.ig_access_token]
+      );
+      count++;
+    } catch (error) {
+      console.error(`Token re-encryption error for tenant ${tenant.id}:`, error.message);
+    }
+  }
+
+  if (count > 0) console.log(`🔐 ${count} access tokens re-encrypted with key ${getKeyring().current.id}`);
+  return count;
+}
+
+/**
+ * Tenant row without stored credentials, safe to send in API responses
+ */
+export function omitTenantSecrets(tenant) {
+  if (!tenant) return tenant;
+  const { ig_access_token, ...rest } = tenant;
+  return rest;
+}
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { paginateItems, fitCategories, createSlidesWithBrand, MAX_CAROUSEL_SLIDES } from '../src/carousel-content.js';
+import { SLIDE_FORMATS } from '../src/carousel-render.js';
+
+const square = SLIDE_FORMATS.square;
+
+function items(count, text = 'Short headline') {
+  return Array.from({ length: count }, (_, index) => ({ id: index + 1, text, index }));
+}
+
+function category(name, count, options = {}) {
+  return {
+    name,
+    emoji: options.emoji || '📰',
+    news: Array.from({ length: count }, (_, index) => ({ id: `${name}-${index + 1}`, title: `${name} headline ${index + 1}`, priority: options.priorities?.[index] }))
+  };
+}
+
+test('paginateItems keeps short items on one page until it is full', () => {
+  assert.deepEqual(paginateItems([], square), []);
+  assert.equal(paginateItems(items(3), square).length, 1);
+
+  // A square slide holds five one-line items
+  const pages = paginateItems(items(12), square);
+  assert.deepEqual(pages.map(page => page.length), [5, 5, 2]);
+  assert.deepEqual(pages.flat().map(item => item.id), items(12).map(item => item.id));
+});
+
+test('paginateItems gives long items more room and an oversized item its own page', () => {
+  const long = 'x'.repeat(300);
+  assert.ok(paginateItems(items(5, long), square).length > 1);
+
+  const pages = paginateItems([...items(1), { id: 99, text: 'y'.repeat(5000) }, ...items(1)], square);
+  assert.deepEqual(pages.map(page => page.map(item => item.id)), [[1], [99], [1]]);
+});
+
+test('taller formats fit more items per page', () => {
+  assert.ok(paginateItems(items(12), SLIDE_FORMATS.story).length < paginateItems(items(12), square).length);
+});
+
+test('fitCategories leaves categories that fit the budget unchanged', () => {
+  const fitted = fitCategories([category('Vize', 3), category('İkamet', 7)], square, 7, 'Diğer');
+
+  assert.deepEqual(fitted.map(entry => entry.category.name), ['Vize', 'İkamet']);
+  assert.deepEqual(fitted.map(entry => entry.pages.length), [1, 2]);
+  assert.equal(fitted[0].pages[0][0].text, 'Vize headline 1');
+});
+
+test('fitCategories merges categories beyond the budget into the other category', () => {
+  const categories = ['A', 'B', 'C', 'D'].map(name => category(name, 1, { emoji: `${name}️⃣` }));
+  const fitted = fitCategories(categories, square, 3, 'Diğer');
+
+  assert.deepEqual(fitted.map(entry => entry.category.name), ['A', 'B', 'Diğer']);
+  assert.deepEqual(fitted[2].pages.flat().map(item => item.text), ['C️⃣ C headline 1', 'D️⃣ D headline 1']);
+});
+
+test('fitCategories drops the lowest-priority, latest items to stay within the budget', () => {
+  const fitted = fitCategories([category('Vize', 7, { priorities: [0, 5, 0, 0, 0, 0, 1] })], square, 1, 'Diğer');
+  const kept = fitted[0].pages.flat().map(item => item.id);
+
+  assert.equal(fitted[0].pages.length, 1);
+  assert.deepEqual(kept, ['Vize-1', 'Vize-2', 'Vize-3', 'Vize-4', 'Vize-7']);
+});
+
+test('createSlidesWithBrand stays within the carousel slide cap', () => {
+  const news = { weekRange: '6-12 Ocak 2025', categories: Array.from({ length: 12 }, (_, index) => category(`Kategori ${index + 1}`, 6)) };
+  const slides = createSlidesWithBrand(news, 'ATASA', { language: 'tr' });
+
+  assert.equal(slides.length, MAX_CAROUSEL_SLIDES);
+  assert.deepEqual(slides.slice(0, 2).map(slide => slide.type), ['cover', 'intro']);
+  assert.ok(slides.slice(2).every(slide => slide.type === 'category'));
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFeed, categorizeItem } from '../src/content-sources.js';
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>Göç Haberleri</title>
+    <item>
+      <title><![CDATA[Schengen vizesi <b>randevuları</b> açıldı]]></title>
+      <link>https://example.com/schengen?a=1&amp;b=2</link>
+      <description>&lt;p&gt;Yeni randevu &amp;amp; başvuru takvimi&lt;/p&gt;</description>
+      <pubDate>Mon, 06 Jan 2025 09:30:00 +0300</pubDate>
+    </item>
+    <item>
+      <title>İkamet izni &#252;cretleri &#x2014; 2025</title>
+      <guid>https://example.com/ikamet</guid>
+      <description>&amp;lt;img src=x onerror=alert(1)&amp;gt;</description>
+      <dc:date>2025-01-07T10:00:00Z</dc:date>
+    </item>
+    <item>
+      <title>   </title>
+      <link>https://example.com/empty</link>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Visa News</title>
+  <entry>
+    <title type="html">Work permits &amp; quotas</title>
+    <link rel="self" href="https://example.com/self"/>
+    <link href="https://example.com/work-permits?x=1&amp;y=2"/>
+    <summary>New quota for 2025</summary>
+    <updated>2025-01-08T08:00:00Z</updated>
+  </entry>
+  <entry>
+    <title>Student visas</title>
+    <link rel="alternate" href="https://example.com/students"/>
+    <content type="html">&lt;p&gt;Updated rules&lt;/p&gt;</content>
+    <published>not a date</published>
+  </entry>
+</feed>`;
+
+test('parseFeed reads RSS items and skips ones without a title', () => {
+  const items = parseFeed(RSS);
+  assert.equal(items.length, 2);
+
+  assert.deepEqual(items[0], {
+    title: 'Schengen vizesi randevuları açıldı',
+    url: 'https://example.com/schengen?a=1&b=2',
+    summary: 'Yeni randevu &amp; başvuru takvimi',
+    publishedAt: new Date('2025-01-06T06:30:00Z')
+  });
+
+  assert.equal(items[1].title, 'İkamet izni ücretleri — 2025');
+  assert.equal(items[1].url, 'https://example.com/ikamet');
+  assert.deepEqual(items[1].publishedAt, new Date('2025-01-07T10:00:00Z'));
+});
+
+test('parseFeed decodes entities once, so double-escaped markup stays text', () => {
+  const [, item] = parseFeed(RSS);
+  assert.equal(item.summary, '&lt;img src=x onerror=alert(1)&gt;');
+  assert.ok(!item.summary.includes('<'));
+});
+
+test('parseFeed reads Atom entries with their alternate link', () => {
+  const items = parseFeed(ATOM);
+  assert.equal(items.length, 2);
+
+  assert.deepEqual(items[0], {
+    title: 'Work permits & quotas',
+    url: 'https://example.com/work-permits?x=1&y=2',
+    summary: 'New quota for 2025',
+    publishedAt: new Date('2025-01-08T08:00:00Z')
+  });
+  assert.deepEqual(items[1], {
+    title: 'Student visas',
+    url: 'https://example.com/students',
+    summary: 'Updated rules',
+    publishedAt: null
+  });
+});
+
+test('parseFeed returns nothing for a document without items', () => {
+  assert.deepEqual(parseFeed('<html><body>Not a feed</body></html>'), []);
+});
+
+test('categorizeItem matches keywords with the tenant language casing', () => {
+  const mapping = {
+    rules: [
+      { category: 'İkamet', emoji: '🏠', keywords: ['ikamet'] },
+      { category: 'Visa', emoji: '🛂', keywords: ['VISA'] }
+    ],
+    default_category: 'Other'
+  };
+
+  assert.deepEqual(categorizeItem({ title: 'İKAMET izni', summary: '' }, mapping, 'tr'), { category: 'İkamet', emoji: '🏠' });
+  assert.deepEqual(categorizeItem({ title: 'New visa rules', summary: '' }, mapping, 'en'), { category: 'Visa', emoji: '🛂' });
+  assert.equal(categorizeItem({ title: 'Weather', summary: '' }, mapping, 'en').category, 'Other');
+});
@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let tmpDir;
+let imageGeneration;
+
+// In-memory carousel_posts / carousel_cover_generations for the queries image-generation.js runs
+function createPool() {
+  const generations = [];
+  const carousels = new Map([[1, { id: 1, cover_image_url: null, cover_image_key: null }]]);
+
+  return {
+    generations,
+    carousels,
+    async query(sql, params = []) {
+      if (sql.startsWith('SELECT COUNT(*)::int AS count FROM carousel_cover_generations')) {
+        return { rows: [{ count: generations.filter(g => g.carousel_id === params[0]).length }] };
+      }
+      if (sql.startsWith('INSERT INTO carousel_cover_generations')) {
+        const row = { id: generations.length + 1, carousel_id: params[0], provider: params[1], prompt: params[2], status: 'pending', is_selected: false };
+        generations.push(row);
+        return { rows: [row] };
+      }
+      if (sql.startsWith(`UPDATE carousel_cover_generations SET status = 'succeeded'`)) {
+        const row = generations.find(g => g.id === params[3]);
+        Object.assign(row, { status: 'succeeded', image_url: params[0], storage_key: params[1], revised_prompt: params[2] });
+        return { rows: [row] };
+      }
+      if (sql.startsWith('SELECT * FROM carousel_cover_generations WHERE id = $1')) {
+        return { rows: generations.filter(g => g.id === Number(params[0]) && g.carousel_id === params[1] && g.status === 'succeeded') };
+      }
+      if (sql.startsWith('UPDATE carousel_cover_generations SET is_selected')) {
+        generations.forEach(g => { if (g.carousel_id === params[1]) g.is_selected = g.id === params[0]; });
+        return { rows: [] };
+      }
+      if (sql.startsWith('SELECT cover_image_key FROM carousel_posts')) {
+        return { rows: [carousels.get(params[0])] };
+      }
+      if (sql.startsWith('UPDATE carousel_posts SET cover_image_url')) {
+        const row = Object.assign(carousels.get(params[1]), { cover_image_url: params[0], cover_image_key: null });
+        return { rows: [row] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-generation-'));
+  process.env.IMAGE_GEN_PROVIDER = 'stub';
+  process.env.MEDIA_STORAGE_DRIVER = 'local';
+  process.env.MEDIA_STORAGE_DIR = path.join(tmpDir, 'media');
+  process.env.MEDIA_PUBLIC_URL = 'http://localhost:3000/media';
+  process.env.RENDER_CACHE_DIR = path.join(tmpDir, 'render-cache');
+  // Storage and provider read the environment on import
+  imageGeneration = await import('../src/image-generation.js');
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('stub provider returns the same PNG for the same prompt and variant', async () => {
+  const provider = imageGeneration.getImageProvider();
+  assert.equal(provider.name, 'stub');
+
+  const first = await provider.generate('passport on a desk', { variant: 0 });
+  const again = await provider.generate('passport on a desk', { variant: 0 });
+  const otherVariant = await provider.generate('passport on a desk', { variant: 1 });
+  const otherPrompt = await provider.generate('suitcase at the airport', { variant: 0 });
+
+  assert.equal(first.contentType, 'image/png');
+  assert.deepEqual(first.buffer.subarray(0, 8), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+  assert.ok(first.buffer.equals(again.buffer));
+  assert.ok(!first.buffer.equals(otherVariant.buffer));
+  assert.ok(!first.buffer.equals(otherPrompt.buffer));
+});
+
+test('generateCoverVariants records and stores each variant', async () => {
+  const pool = createPool();
+  const generations = await imageGeneration.generateCoverVariants(pool, { id: 1 }, 'passport on a desk', 2);
+
+  assert.equal(generations.length, 2);
+  for (const generation of generations) {
+    assert.equal(generation.status, 'succeeded');
+    assert.equal(generation.provider, 'stub');
+    assert.equal(generation.image_url, `http://localhost:3000/media/${generation.storage_key}`);
+    await fs.access(path.join(process.env.MEDIA_STORAGE_DIR, generation.storage_key));
+  }
+
+  // Variants continue from earlier generations, so a second call gives new images
+  const [third] = await imageGeneration.generateCoverVariants(pool, { id: 1 }, 'passport on a desk', 1);
+  const files = await Promise.all([...generations, third].map(g => fs.readFile(path.join(process.env.MEDIA_STORAGE_DIR, g.storage_key))));
+  assert.equal(new Set(files.map(file => file.toString('base64'))).size, 3);
+});
+
+test('selectCoverVariant makes a succeeded variant the cover', async () => {
+  const pool = createPool();
+  const [first, second] = await imageGeneration.generateCoverVariants(pool, { id: 1 }, 'passport on a desk', 2);
+
+  const carousel = await imageGeneration.selectCoverVariant(pool, 1, second.id);
+  assert.equal(carousel.cover_image_url, second.image_url);
+  assert.equal(carousel.cover_image_key, null);
+  assert.deepEqual(pool.generations.map(g => g.is_selected), [false, true]);
+
+  assert.equal(await imageGeneration.selectCoverVariant(pool, 1, 99), null);
+  assert.equal(first.is_selected, false);
+});
@@ -0,0 +1,57 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+let createOAuthState;
+let verifyOAuthState;
+
+before(async () => {
+  process.env.OAUTH_STATE_SECRET = 'test-oauth-state-secret';
+  ({ createOAuthState, verifyOAuthState } = await import('../src/instagram-publisher.js'));
+});
+
+function decodePayload(state) {
+  return JSON.parse(Buffer.from(state.split('.')[0], 'base64url').toString());
+}
+
+function sign(payload, secret = process.env.OAUTH_STATE_SECRET) {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${crypto.createHmac('sha256', secret).update(encoded).digest('base64url')}`;
+}
+
+test('a fresh state resolves to its tenant', () => {
+  const state = createOAuthState(42);
+  assert.equal(verifyOAuthState(state), '42');
+  assert.notEqual(createOAuthState(42), state, 'each state has its own nonce');
+});
+
+test('a state expires after 10 minutes', (t) => {
+  const now = Date.now();
+  const state = createOAuthState(42);
+
+  t.mock.method(Date, 'now', () => now + 9 * 60 * 1000);
+  assert.equal(verifyOAuthState(state), '42');
+
+  t.mock.method(Date, 'now', () => now + 11 * 60 * 1000);
+  assert.equal(verifyOAuthState(state), null);
+});
+
+test('a state with a changed tenant or signature is rejected', () => {
+  const state = createOAuthState(42);
+  const [, signature] = state.split('.');
+
+  const otherTenant = Buffer.from(JSON.stringify({ ...decodePayload(state), tenantId: '7' })).toString('base64url');
+  assert.equal(verifyOAuthState(`${otherTenant}.${signature}`), null);
+  assert.equal(verifyOAuthState(`${state.split('.')[0]}.${signature.slice(0, -2)}xx`), null);
+  assert.equal(verifyOAuthState(sign(decodePayload(state), 'another-secret')), null);
+});
+
+test('malformed states are rejected', () => {
+  assert.equal(verifyOAuthState(undefined), null);
+  assert.equal(verifyOAuthState(''), null);
+  assert.equal(verifyOAuthState('42'), null);
+  assert.equal(verifyOAuthState('not-json.signature'), null);
+  // Correctly signed, but missing the expiry
+  assert.equal(verifyOAuthState(sign({ tenantId: '42' })), null);
+  assert.equal(verifyOAuthState(sign('plain string')), null);
+});
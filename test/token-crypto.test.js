@@ -0,0 +1,77 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+const OLD_KEY = `old:${crypto.randomBytes(32).toString('base64')}`;
+const NEW_KEY = `new:${crypto.randomBytes(32).toString('base64')}`;
+
+let instance = 0;
+
+// The keyring is read once per module instance; a fresh instance per key setup
+async function loadTokenCrypto(keys) {
+  process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  return import(`../src/token-crypto.js?instance=${++instance}`);
+}
+
+afterEach(() => {
+  delete process.env.TOKEN_ENCRYPTION_KEYS;
+});
+
+test('encryptToken output decrypts back and is not plaintext', async () => {
+  const { encryptToken, decryptToken } = await loadTokenCrypto(NEW_KEY);
+
+  const stored = encryptToken('EAAG-secret-token');
+  assert.match(stored, /^enc:v1:new:/);
+  assert.ok(!stored.includes('EAAG-secret-token'));
+  assert.notEqual(encryptToken('EAAG-secret-token'), stored, 'a fresh IV per encryption');
+  assert.equal(decryptToken(stored), 'EAAG-secret-token');
+  assert.equal(decryptToken(null), null);
+});
+
+test('legacy plaintext tokens are returned as is', async () => {
+  const { decryptToken } = await loadTokenCrypto(NEW_KEY);
+  assert.equal(decryptToken('EAAG-plaintext'), 'EAAG-plaintext');
+});
+
+test('a tampered token fails to decrypt', async () => {
+  const { encryptToken, decryptToken } = await loadTokenCrypto(NEW_KEY);
+  const parts = encryptToken('EAAG-secret-token').split(':');
+  parts[5] = Buffer.from('EAAG-forged-token').toString('base64url');
+  assert.throws(() => decryptToken(parts.join(':')));
+});
+
+test('after rotation old tokens still decrypt and are re-encrypted with the new key', async () => {
+  const before = await loadTokenCrypto(OLD_KEY);
+  const storedWithOldKey = before.encryptToken('EAAG-secret-token');
+
+  const rotated = await loadTokenCrypto(`${NEW_KEY},${OLD_KEY}`);
+  assert.equal(rotated.decryptToken(storedWithOldKey), 'EAAG-secret-token');
+  assert.match(rotated.encryptToken('EAAG-secret-token'), /^enc:v1:new:/);
+
+  const tenants = [
+    { id: 1, ig_access_token: storedWithOldKey },
+    { id: 2, ig_access_token: 'EAAG-plaintext' },
+    { id: 3, ig_access_token: rotated.encryptToken('EAAG-current') }
+  ];
+  const pool = {
+    async query(sql, params) {
+      if (sql.startsWith('SELECT')) return { rows: tenants.map(tenant => ({ ...tenant })) };
+      const tenant = tenants.find(t => t.id === params[1] && t.ig_access_token === params[2]);
+      if (tenant) tenant.ig_access_token = params[0];
+      return { rowCount: tenant ? 1 : 0 };
+    }
+  };
+
+  assert.equal(await rotated.reencryptTenantTokens(pool), 2);
+  assert.ok(tenants.every(tenant => tenant.ig_access_token.startsWith('enc:v1:new:')));
+  assert.deepEqual(tenants.map(tenant => rotated.decryptToken(tenant.ig_access_token)), ['EAAG-secret-token', 'EAAG-plaintext', 'EAAG-current']);
+
+  // Once the old key is dropped, tokens still encrypted with it can't be read
+  const withoutOldKey = await loadTokenCrypto(NEW_KEY);
+  assert.throws(() => withoutOldKey.decryptToken(storedWithOldKey), /Unknown token encryption key: old/);
+});
+
+test('invalid keys are rejected', async () => {
+  const { encryptToken } = await loadTokenCrypto('short:c2hvcnQ=');
+  assert.throws(() => encryptToken('EAAG-secret-token'), /must be 32 bytes/);
+});